@@ -1,9 +1,40 @@
 /** @module */
 
 import SpatialError from './SpatialError';
-import { isSimple, relate, equals, azimuth, split, distance, intersects } from './utils';
-import { insertNode, insertEdge, deleteEdge, insertFace, updateFaceTree, deleteFace, trigger } from './topo';
+import {
+  isSimple,
+  relate,
+  equals,
+  pointDistance,
+  makePrecise,
+  removeRepeatedPoints,
+  compareDirections,
+  split,
+  distance,
+  intersects,
+  pointInPoly
+} from './utils';
+import {
+  insertNode,
+  deleteNode,
+  insertEdge,
+  deleteEdge,
+  updateEdge,
+  setNodeFace,
+  getEdgesByNode,
+  getEdgesByFace,
+  getNodesByFace,
+  insertFace,
+  updateFaceTree,
+  deleteFace,
+  trigger,
+  triggerBefore,
+  resolveTolerance
+} from './topo';
 import { addFaceSplit } from './face';
+import { getNodeByPoint } from './node';
+import { checkEdgeHeal, checkEdgeRemoval, checkNodeRemoval } from './layer';
+import { touch } from './snapshot';
 
 /**
  * Edge definition
@@ -47,7 +78,16 @@ export function e2s(e) {
   return `${e.id}|${e.start.id}|${e.end.id}|${nl}|${nr}|${e.leftFace.id}|${e.rightFace.id}`;
 }
 
-export function getEdgeByPoint(topo, c, tol) {
+/**
+ * Find the edges passing within the tolerance of a point location.
+ *
+ * @param {module:topo~Topo} topo
+ * @param {module:coordinate~Coordinate} c
+ * @param {number} [tolerance] Defaults to the topology tolerance
+ * @return {module:edge~Edge[]}
+ */
+export function getEdgeByPoint(topo, c, tolerance) {
+  const tol = resolveTolerance(topo, tolerance);
   const result = topo.edgesTree.search({
     minX: c[0] - tol,
     minY: c[1] - tol,
@@ -81,13 +121,28 @@ export function getEdgesByLine(topo, cs) {
 /**
  * Adds an isolated edge defined by geometry alinestring to a topology connecting two existing isolated nodes anode and anothernode and returns the edge id of the new edge.
  *
+ * A closed edge, starting and ending on the same isolated node, splits the face containing the node as
+ * {@link module:edge.addEdgeModFace} would.
+ *
  * @param {module:topo~Topo} topo
  * @param {module:node~Node} start
  * @param {module:node~Node} end
  * @param {module:coordinate~Coordinate[]} coordinates
+ * @param {number} [tolerance] Defaults to the topology tolerance
  * @return {module:edge~Edge}
  */
-export function addIsoEdge(topo, start, end, coordinates) {
+export function addIsoEdge(topo, start, end, coordinates, tolerance) {
+  const tol = resolveTolerance(topo, tolerance);
+
+  if (start === end) {
+    if (!start.face) {
+      throw new SpatialError('not isolated node');
+    }
+    return addEdge(topo, start, end, coordinates, true, tol);
+  }
+
+  coordinates = snapEndPoints(start, end, makeLinePrecise(topo, coordinates), tol);
+
   const xs = coordinates.map(c => c[0]);
   const ys = coordinates.map(c => c[1]);
 
@@ -106,10 +161,6 @@ export function addIsoEdge(topo, start, end, coordinates) {
     maxY: Math.max(...ys)
   };
 
-  if (start === end) {
-    throw new SpatialError('start and end node cannot be the same as it would not construct an isolated edge');
-  }
-
   if (!start.face || !end.face) {
     throw new SpatialError('not isolated node');
   }
@@ -118,41 +169,112 @@ export function addIsoEdge(topo, start, end, coordinates) {
     throw new SpatialError('nodes in different faces');
   }
 
-  if (!equals(start.coordinate, coordinates[0])) {
-    throw new SpatialError('start node not geometry start point');
-  }
-
-  if (!equals(end.coordinate, coordinates[coordinates.length - 1])) {
-    throw new SpatialError('end node not geometry end point');
-  }
-
-  if (!isSimple(coordinates)) {
+  if (!isSimple(coordinates, topo.scale)) {
     throw new SpatialError('curve not simple');
   }
 
-  checkEdgeCrossing(topo, start, end, edge);
+  checkEdgeCrossing(topo, start, end, edge, undefined, tol);
+
+  triggerBefore(topo, 'beforeaddedge', { start, end, coordinates });
 
   edge.leftFace = end.face;
+  edge.rightFace = end.face;
   edge.nextLeft = edge;
   edge.nextLeftDir = false;
   edge.nextRight = edge;
   edge.nextRightDir = true;
 
-  delete start.face;
-  delete end.face;
+  setNodeFace(topo, start);
+  setNodeFace(topo, end);
 
   insertEdge(topo, edge);
   trigger(topo, 'addedge', edge);
+  trigger(topo, 'modnode', start);
+  trigger(topo, 'modnode', end);
+  triggerModFaces(topo, [edge.leftFace]);
 
   return edge;
 }
 
-function checkEdgeCrossing(topo, start, end, edge) {
+/**
+ * Rounds the coordinates of a geometry to the grid of the topology precision model, if any.
+ * @param {module:topo~Topo} topo
+ * @param {module:coordinate~Coordinate[]} coordinates
+ * @return {module:coordinate~Coordinate[]}
+ * @private
+ */
+function makeLinePrecise(topo, coordinates) {
+  if (!topo.scale) {
+    return coordinates;
+  }
+  const precise = removeRepeatedPoints(coordinates.map(c => makePrecise(c, topo.scale)));
+  if (precise.length < 2) {
+    throw new SpatialError('curve has less than two distinct points');
+  }
+  return precise;
+}
+
+/**
+ * Replaces the end points of a geometry with the coordinates of its nodes, if within the tolerance, and removes the
+ * repeated points this may leave.
+ * @param {module:node~Node} start
+ * @param {module:node~Node} end
+ * @param {module:coordinate~Coordinate[]} coordinates
+ * @param {number} tol
+ * @return {module:coordinate~Coordinate[]}
+ * @private
+ */
+function snapEndPoints(start, end, coordinates, tol) {
+  const last = coordinates.length - 1;
+
+  if (pointDistance(start.coordinate, coordinates[0]) > tol) {
+    throw new SpatialError('start node not geometry start point');
+  }
+
+  if (pointDistance(end.coordinate, coordinates[last]) > tol) {
+    throw new SpatialError('end node not geometry end point');
+  }
+
+  const snapped = equals(start.coordinate, coordinates[0]) && equals(end.coordinate, coordinates[last])
+    ? coordinates
+    : [start.coordinate].concat(coordinates.slice(1, last), [end.coordinate]);
+
+  const distinct = removeRepeatedPoints(snapped);
+  if (distinct.length < 2) {
+    throw new SpatialError('curve has less than two distinct points');
+  }
+  return distinct;
+}
+
+function checkEdgeCrossing(topo, start, end, edge, skipEdge, tol = 0) {
+  const bounds = {
+    minX: edge.minX - tol,
+    minY: edge.minY - tol,
+    maxX: edge.maxX + tol,
+    maxY: edge.maxY + tol
+  };
+
+  topo.nodesTree
+    .search(bounds)
+    .filter(n => n !== start && n !== end)
+    .forEach(n => {
+      if (distance(n.coordinate, edge.coordinates) <= tol) {
+        throw new SpatialError('geometry crosses a node');
+      }
+    });
+
+  // away from shared nodes, lines not intersecting are closest at a vertex of one of them
+  const isNear = (e1, e2) => {
+    const shared = [start, end].filter(n => n === e1.start || n === e1.end).map(n => n.coordinate);
+    const near = (c, cs) => !shared.some(s => equals(s, c)) && distance(c, cs) <= tol;
+    return e2.coordinates.some(c => near(c, e1.coordinates)) || e1.coordinates.some(c => near(c, e2.coordinates));
+  };
+
   const check = (e1, e2) => {
-    if (e1 === e2) {
+    if (e1 === e2 || e1 === skipEdge) {
       return;
     }
-    const im = relate(e1.coordinates, e2.coordinates);
+    const im = relate(e1.coordinates, e2.coordinates, topo.scale);
     if (im.matches('1FFF*FFF2')) {
       throw new SpatialError('coincident edge ' + e1.id);
     }
@@ -162,38 +284,45 @@ function checkEdgeCrossing(topo, start, end, edge) {
     if (im.matches('T********')) {
       throw new SpatialError('geometry crosses edge ' + e1.id);
     }
+    if (tol > 0 && isNear(e1, e2)) {
+      throw new SpatialError('geometry within tolerance of edge ' + e1.id);
+    }
   };
-  topo.edgesTree.search(edge).forEach(e => check(e, edge));
+  topo.edgesTree.search(bounds).forEach(e => check(e, edge));
 }
 
 function getEdgeByNode(topo, node) {
   if (node.length) {
-    return topo.edges.filter(e => node.some(n => n === e.start) || node.some(n => n === e.end));
+    return node
+      .map(n => getEdgesByNode(topo, n))
+      .reduce((a, b) => a.concat(b.filter(e => a.indexOf(e) === -1)), []);
   } else {
-    return topo.edges.filter(e => e.start === node || e.end === node);
+    return getEdgesByNode(topo, node);
   }
 }
 
+function triggerModFaces(topo, faces) {
+  faces
+    .filter((f, i) => f !== topo.universe && faces.indexOf(f) === i && topo.faces.indexOf(f) !== -1)
+    .forEach(f => trigger(topo, 'modface', f));
+}
+
 function findAdjacentEdges(topo, node, data, other, edge) {
   data.nextCW = data.nextCCW = { id: 0 };
   data.cwFace = data.ccwFace = { id: -1 };
 
-  let minaz, maxaz, azdif;
+  let min, max;
 
   if (other) {
-    azdif = other.az - data.az;
-    if (azdif < 0) azdif += 2 * Math.PI;
-    minaz = maxaz = azdif;
+    min = max = other.ray;
     console.debug(`Other edge end has cwFace=${other.cwFace.id} and ccwFace=${other.ccwFace.id}`);
-  } else {
-    minaz = maxaz = -1;
   }
 
-  console.debug(`Looking for edges incident to node ${node.id} and adjacent to azimuth ${data.az}`);
+  console.debug(`Looking for edges incident to node ${node.id} and adjacent to edge end ${data.ray.join('-')}`);
 
   const edges = getEdgeByNode(topo, node);
 
-  console.debug(`getEdgeByNode returned ${edges.length} edges, minaz=${minaz}, maxaz=${maxaz}`);
+  console.debug(`getEdgeByNode returned ${edges.length} edges`);
 
   edges.forEach(e => {
     if (e === edge) {
@@ -208,12 +337,9 @@ function findAdjacentEdges(topo, node, data, other, edge) {
       const p1 = e.coordinates[0];
       const p2 = e.coordinates[1];
       console.debug(`edge ${e.id} starts on node ${node.id}, edgeend is ${p1[0]},${p1[1]}-${p2[0]},${p2[1]}`);
-      const az = azimuth(p1, p2);
-      azdif = az - data.az;
-      console.debug(`azimuth of edge ${e.id}: ${az} (diff: ${azdif})`);
-      if (azdif < 0) azdif += 2 * Math.PI;
-      if (minaz === -1) {
-        minaz = maxaz = azdif;
+      const ray = [p1, p2];
+      if (!min) {
+        min = max = ray;
         data.nextCW = data.nextCCW = e;
         data.nextCWDir = data.nextCCWDir = true;
         data.cwFace = e.leftFace;
@@ -224,26 +350,26 @@ function findAdjacentEdges(topo, node, data, other, edge) {
           } (face_right is new ccwFace, face_left is new cwFace)`
         );
       } else {
-        if (azdif < minaz) {
+        if (compareDirections(data.ray, ray, min) < 0) {
           data.nextCW = e;
           data.nextCWDir = true;
           data.cwFace = e.leftFace;
           console.debug(
             `new nextCW edge is ${e.id}, outgoing, with face_left ${e.leftFace.id} and face_right ${
               e.rightFace.id
-            } (previous had minaz=${minaz}, face_left is new cwFace)`
+            } (face_left is new cwFace)`
           );
-          minaz = azdif;
-        } else if (azdif > maxaz) {
+          min = ray;
+        } else if (compareDirections(data.ray, ray, max) > 0) {
           data.nextCCW = e;
           data.nextCCWDir = true;
           data.ccwFace = e.rightFace;
           console.debug(
             `new nextCCW edge is ${e.id}, outgoing, with face_left ${e.leftFace.id} and face_right ${
               e.rightFace.id
-            } (previous had maxaz=${maxaz}, face_right is new ccwFace)`
+            } (face_right is new ccwFace)`
           );
-          maxaz = azdif;
+          max = ray;
         }
       }
     }
@@ -252,12 +378,9 @@ function findAdjacentEdges(topo, node, data, other, edge) {
       const p1 = e.coordinates[e.coordinates.length - 1];
       const p2 = e.coordinates[e.coordinates.length - 2];
       console.debug(`edge ${e.id} ends on node ${node.id}, edgeend is ${p1[0]},${p1[1]}-${p2[0]},${p2[1]}`);
-      const az = azimuth(p1, p2);
-      azdif = az - data.az;
-      console.debug(`azimuth of edge ${e.id}: ${az} (diff: ${azdif})`);
-      if (azdif < 0) azdif += 2 * Math.PI;
-      if (minaz === -1) {
-        minaz = maxaz = azdif;
+      const ray = [p1, p2];
+      if (!min) {
+        min = max = ray;
         data.nextCW = data.nextCCW = e;
         data.nextCWDir = data.nextCCWDir = false;
         data.cwFace = e.rightFace;
@@ -268,36 +391,36 @@ function findAdjacentEdges(topo, node, data, other, edge) {
           } (face_right is new cwFace, face_left is new ccwFace)`
         );
       } else {
-        if (azdif < minaz) {
+        if (compareDirections(data.ray, ray, min) < 0) {
           data.nextCW = e;
           data.nextCWDir = false;
           data.cwFace = e.rightFace;
           console.debug(
             `new nextCW edge is ${e.id}, incoming, with face_left ${e.leftFace.id} and face_right ${
               e.rightFace.id
-            } (previous had minaz=${minaz}, face_right is new cwFace)`
+            } (face_right is new cwFace)`
           );
-          minaz = azdif;
-        } else if (azdif > maxaz) {
+          min = ray;
+        } else if (compareDirections(data.ray, ray, max) > 0) {
           data.nextCCW = e;
           data.nextCCWDir = false;
           data.ccwFace = e.leftFace;
           console.debug(
             `new nextCCW edge is ${e.id}, outgoing, from start point, with face_left ${e.leftFace.id} and face_right ${
               e.rightFace.id
-            } (previous had maxaz=${maxaz}, face_left is new ccwFace)`
+            } (face_left is new ccwFace)`
           );
-          maxaz = azdif;
+          max = ray;
         }
       }
     }
   });
 
   console.debug(
-    `edges adjacent to azimuth ${data.az} (incident to node ${node.id}): CW:${sid(data.nextCW, data.nextCWDir)}(${minaz}) CCW:${sid(
+    `edges adjacent to edge end ${data.ray.join('-')} (incident to node ${node.id}): CW:${sid(data.nextCW, data.nextCWDir)} CCW:${sid(
       data.nextCCW,
       data.nextCCWDir
-    )}(${maxaz})`
+    )}`
   );
 
   if (!edge && edges.length > 0 && data.cwFace !== data.ccwFace) {
@@ -313,10 +436,14 @@ function findAdjacentEdges(topo, node, data, other, edge) {
   return edges;
 }
 
-function addEdge(topo, start, end, coordinates, modFace) {
+function addEdge(topo, start, end, coordinates, modFace, tolerance) {
   console.debug('addEdge called');
 
-  if (!isSimple(coordinates)) {
+  const tol = resolveTolerance(topo, tolerance);
+
+  coordinates = snapEndPoints(start, end, makeLinePrecise(topo, coordinates), tol);
+
+  if (!isSimple(coordinates, topo.scale)) {
     throw new SpatialError('curve not simple');
   }
 
@@ -338,19 +465,16 @@ function addEdge(topo, start, end, coordinates, modFace) {
     maxY: Math.max(...ys)
   };
 
-  // TODO: remove repeated points
-  // TODO: check that we haave at least two points left
-
   const span = {
     cwFace: { id: -1 },
     ccwFace: { id: -1 },
-    az: azimuth(coordinates[0], coordinates[1])
+    ray: [coordinates[0], coordinates[1]]
   };
 
   const epan = {
     cwFace: { id: -1 },
     ccwFace: { id: -1 },
-    az: azimuth(coordinates[coordinates.length - 1], coordinates[coordinates.length - 2])
+    ray: [coordinates[coordinates.length - 1], coordinates[coordinates.length - 2]]
   };
 
   const nodes = start !== end ? [start, end] : [start];
@@ -365,15 +489,7 @@ function addEdge(topo, start, end, coordinates, modFace) {
     }
   });
 
-  if (!equals(start.coordinate, coordinates[0])) {
-    throw new SpatialError('start node not geometry start point');
-  }
-
-  if (!equals(end.coordinate, coordinates[coordinates.length - 1])) {
-    throw new SpatialError('end node not geometry end point');
-  }
-
-  checkEdgeCrossing(topo, start, end, edge);
+  checkEdgeCrossing(topo, start, end, edge, undefined, tol);
 
   const isClosed = start === end;
   const foundStart = findAdjacentEdges(topo, start, span, isClosed ? epan : undefined);
@@ -480,9 +596,12 @@ function addEdge(topo, start, end, coordinates, modFace) {
     throw new Error('Could not derive edge face from linked primitives: invalid topo ?');
   }
 
+  triggerBefore(topo, 'beforeaddedge', { start, end, coordinates });
+
   insertEdge(topo, edge);
 
   if (prevLeft !== edge) {
+    touch(topo, 'edge', prevLeft);
     if (prevLeftDir) {
       prevLeft.nextLeft = edge;
       prevLeft.nextLeftDir = true;
@@ -493,6 +612,7 @@ function addEdge(topo, start, end, coordinates, modFace) {
   }
 
   if (prevRight !== edge) {
+    touch(topo, 'edge', prevRight);
     if (prevRightDir) {
       prevRight.nextLeft = edge;
       prevRight.nextLeftDir = false;
@@ -502,59 +622,64 @@ function addEdge(topo, start, end, coordinates, modFace) {
     }
   }
 
+  const modNodes = [];
   if (span.wasIsolated) {
-    delete start.face;
+    setNodeFace(topo, start);
+    modNodes.push(start);
   }
-  if (epan.wasIsolated) {
-    delete end.face;
+  if (epan.wasIsolated && end !== start) {
+    setNodeFace(topo, end);
+    modNodes.push(end);
   }
 
-  if (!isClosed && (epan.wasIsolated || span.wasIsolated)) {
-    trigger(topo, 'addedge', edge);
-    return edge;
+  const oldFace = edge.leftFace;
+
+  const split = (isClosed || !(epan.wasIsolated || span.wasIsolated)) && splitFaces(topo, edge, modFace);
+
+  trigger(topo, 'addedge', edge);
+  modNodes.forEach(n => trigger(topo, 'modnode', n));
+
+  if (split && !modFace && oldFace !== topo.universe) {
+    deleteFace(topo, oldFace);
+    trigger(topo, 'removeface', oldFace);
+  } else {
+    triggerModFaces(topo, [oldFace]);
   }
 
-  const oldFace = edge.leftFace;
+  return edge;
+}
 
-  let newface1;
+function splitFaces(topo, edge, modFace) {
+  // the first split relabels the sides of the edge, the face being split is the original one
+  const face = edge.leftFace;
 
+  let newface1;
   if (!modFace) {
-    newface1 = addFaceSplit(topo, edge, false, edge.leftFace, false);
+    newface1 = addFaceSplit(topo, edge, false, face, false);
     if (newface1 === 0) {
       console.debug('New edge does not split any face');
-      trigger(topo, 'addedge', edge);
-      return edge;
+      return false;
     }
   }
 
-  let newface = addFaceSplit(topo, edge, true, edge.leftFace, false);
+  // the original face is removed when split into two new faces
+  const otherFace = !modFace && face !== topo.universe ? newface1 : undefined;
+  const newface = addFaceSplit(topo, edge, true, face, false, otherFace);
 
   if (modFace) {
     if (newface === 0) {
       console.debug('New edge does not split any face');
-      trigger(topo, 'addedge', edge);
-      return edge;
+      return false;
     }
 
     if (newface < 0) {
-      newface = addFaceSplit(topo, edge, false, edge.leftFace, false);
-      if (newface < 0) {
-        trigger(topo, 'addedge', edge);
-        return edge;
-      }
+      return addFaceSplit(topo, edge, false, face, false) >= 0;
     } else {
-      addFaceSplit(topo, edge, false, edge.leftFace, true);
+      addFaceSplit(topo, edge, false, face, true);
     }
   }
 
-  trigger(topo, 'addedge', edge);
-
-  if (oldFace !== topo.universe && !modFace) {
-    deleteFace(topo, oldFace);
-    trigger(topo, 'removeface', oldFace);
-  }
-
-  return edge;
+  return true;
 }
 
 /**
@@ -564,10 +689,11 @@ function addEdge(topo, start, end, coordinates, modFace) {
  * @param {module:node~Node} start
  * @param {module:node~Node} end
  * @param {module:coordinate~Coordinate[]} coordinates
+ * @param {number} [tolerance] Defaults to the topology tolerance
  * @return {module:edge~Edge}
  */
-export function addEdgeNewFaces(topo, start, end, coordinates) {
-  return addEdge(topo, start, end, coordinates, false);
+export function addEdgeNewFaces(topo, start, end, coordinates, tolerance) {
+  return addEdge(topo, start, end, coordinates, false, tolerance);
 }
 
 /**
@@ -577,16 +703,132 @@ export function addEdgeNewFaces(topo, start, end, coordinates) {
  * @param {module:node~Node} start
  * @param {module:node~Node} end
  * @param {module:coordinate~Coordinate[]} coordinates
+ * @param {number} [tolerance] Defaults to the topology tolerance
+ * @return {module:edge~Edge}
+ */
+export function addEdgeModFace(topo, start, end, coordinates, tolerance) {
+  return addEdge(topo, start, end, coordinates, true, tolerance);
+}
+
+/**
+ * Changes the shape of an edge without affecting the topology structure.
+ *
+ * @param {module:topo~Topo} topo
+ * @param {module:edge~Edge} edge
+ * @param {module:coordinate~Coordinate[]} coordinates
+ * @param {number} [tolerance] Defaults to the topology tolerance
  * @return {module:edge~Edge}
  */
-export function addEdgeModFace(topo, start, end, coordinates) {
-  return addEdge(topo, start, end, coordinates, true);
+export function changeEdgeGeom(topo, edge, coordinates, tolerance) {
+  const { edgesTree, nodesTree, universe } = topo;
+  const { start, end } = edge;
+  const tol = resolveTolerance(topo, tolerance);
+
+  coordinates = snapEndPoints(start, end, makeLinePrecise(topo, coordinates), tol);
+
+  if (!isSimple(coordinates, topo.scale)) {
+    throw new SpatialError('curve not simple');
+  }
+
+  const xs = coordinates.map(c => c[0]);
+  const ys = coordinates.map(c => c[1]);
+
+  const bounds = {
+    minX: Math.min(...xs),
+    minY: Math.min(...ys),
+    maxX: Math.max(...xs),
+    maxY: Math.max(...ys)
+  };
+
+  checkEdgeCrossing(topo, start, end, Object.assign({ coordinates }, bounds), edge, tol);
+
+  const isClosed = start === end;
+
+  // a node is moved to the other side of the edge if it is inside the area swept by the edge
+  let inMotionRange;
+  if (isClosed) {
+    inMotionRange = c => pointInPoly(c, edge.coordinates) !== pointInPoly(c, coordinates);
+  } else {
+    const motionRange = edge.coordinates.concat(coordinates.slice(0, -1).reverse());
+    inMotionRange = c => pointInPoly(c, motionRange);
+  }
+
+  nodesTree
+    .search({
+      minX: Math.min(bounds.minX, edge.minX),
+      minY: Math.min(bounds.minY, edge.minY),
+      maxX: Math.max(bounds.maxX, edge.maxX),
+      maxY: Math.max(bounds.maxY, edge.maxY)
+    })
+    .filter(n => n !== start && n !== end)
+    .forEach(n => {
+      if (inMotionRange(n.coordinate)) {
+        throw new SpatialError(`edge motion collision at node ${n.id}`);
+      }
+    });
+
+  const initEdgeEnds = cs => [
+    {
+      cwFace: { id: -1 },
+      ccwFace: { id: -1 },
+      ray: [cs[0], cs[1]]
+    },
+    {
+      cwFace: { id: -1 },
+      ccwFace: { id: -1 },
+      ray: [cs[cs.length - 1], cs[cs.length - 2]]
+    }
+  ];
+
+  const [spanPre, epanPre] = initEdgeEnds(edge.coordinates);
+  findAdjacentEdges(topo, start, spanPre, isClosed ? epanPre : undefined, edge);
+  findAdjacentEdges(topo, end, epanPre, isClosed ? spanPre : undefined, edge);
+
+  const [spanPost, epanPost] = initEdgeEnds(coordinates);
+  findAdjacentEdges(topo, start, spanPost, isClosed ? epanPost : undefined, edge);
+  findAdjacentEdges(topo, end, epanPost, isClosed ? spanPost : undefined, edge);
+
+  const sameAdjacency = (pre, post) =>
+    pre.nextCW.id === post.nextCW.id &&
+    pre.nextCWDir === post.nextCWDir &&
+    pre.nextCCW.id === post.nextCCW.id &&
+    pre.nextCCWDir === post.nextCCWDir;
+
+  if (!sameAdjacency(spanPre, spanPost)) {
+    throw new SpatialError(`edge changed disposition around start node ${start.id}`);
+  }
+
+  if (!sameAdjacency(epanPre, epanPost)) {
+    throw new SpatialError(`edge changed disposition around end node ${end.id}`);
+  }
+
+  triggerBefore(topo, 'beforemodedge', { edge, coordinates });
+
+  touch(topo, 'edge', edge);
+  edgesTree.remove(edge);
+  edge.coordinates = coordinates;
+  Object.assign(edge, bounds);
+  edgesTree.insert(edge);
+
+  trigger(topo, 'modedge', edge);
+
+  const faces = edge.leftFace !== edge.rightFace ? [edge.leftFace, edge.rightFace] : [edge.leftFace];
+  faces.filter(f => f !== universe).forEach(f => {
+    updateFaceTree(topo, f);
+    trigger(topo, 'modface', f);
+  });
+
+  return edge;
 }
 
 function remEdge(topo, edge, modFace) {
+  checkEdgeRemoval(topo, edge);
+
+  triggerBefore(topo, 'beforeremoveedge', { edge });
+
   console.debug('Updating next_{right,left}_face of ring edges...');
 
-  const { universe, edges, nodes, facesTree } = topo;
+  const { universe } = topo;
 
   const oldLeftFace = edge.leftFace;
   const oldRightFace = edge.rightFace;
@@ -624,7 +866,7 @@ function remEdge(topo, edge, modFace) {
       updEdgeRight.push({
         edge: e,
         nextRight: edge.nextLeft !== edge || !edge.nextLeftDir ? edge.nextLeft : edge.nextRight,
-        nextRightDir: edge.nextLeft !== edge || !edge.nextLeftDir ? edge.nextLefttDir : edge.nextRightDir
+        nextRightDir: edge.nextLeft !== edge || !edge.nextLeftDir ? edge.nextLeftDir : edge.nextRightDir
       });
     } else if (e.nextRight === edge && e.nextRightDir) {
       updEdgeRight.push({
@@ -636,17 +878,20 @@ function remEdge(topo, edge, modFace) {
   });
 
   updEdgeLeft.forEach(ue => {
+    touch(topo, 'edge', ue.edge);
     ue.edge.nextLeft = ue.nextLeft;
     ue.edge.nextLeftDir = ue.nextLeftDir;
   });
 
   updEdgeRight.forEach(ue => {
+    touch(topo, 'edge', ue.edge);
     ue.edge.nextRight = ue.nextRight;
     ue.edge.nextRightDir = ue.nextRightDir;
   });
 
   let floodface;
   let newface = { id: -1 };
+  const modNodes = [];
 
   if (oldLeftFace === oldRightFace) {
     floodface = oldRightFace;
@@ -657,7 +902,6 @@ function remEdge(topo, edge, modFace) {
     } else {
       floodface = oldRightFace;
       console.debug('floodface is ' + floodface.id);
-      // TODO: merge bboxes
       if (modFace) {
         newface = floodface;
       } else {
@@ -666,26 +910,41 @@ function remEdge(topo, edge, modFace) {
       }
     }
 
+    const replaceFace = oldFace => {
+      getEdgesByFace(topo, oldFace).forEach(e =>
+        updateEdge(topo, e, {
+          leftFace: e.leftFace === oldFace ? floodface : e.leftFace,
+          rightFace: e.rightFace === oldFace ? floodface : e.rightFace
+        })
+      );
+      getNodesByFace(topo, oldFace).forEach(n => {
+        setNodeFace(topo, n, floodface);
+        modNodes.push(n);
+      });
+    };
+
     if (oldLeftFace !== floodface) {
       console.debug(`Updating edges leftFace to ${floodface.id} where it was ${oldLeftFace.id}`);
-      edges.filter(e => e.leftFace === oldLeftFace).forEach(e => (e.leftFace = floodface));
-      edges.filter(e => e.rightFace === oldLeftFace).forEach(e => (e.rightFace = floodface));
-      nodes.filter(n => n.face === oldLeftFace).forEach(n => (n.face = floodface));
+      replaceFace(oldLeftFace);
     }
 
     if (oldRightFace !== floodface) {
       console.debug(`Updating edges rightFace to ${floodface.id} where it was ${oldRightFace.id}`);
-      edges.filter(e => e.leftFace === oldRightFace).forEach(e => (e.leftFace = floodface));
-      edges.filter(e => e.rightFace === oldRightFace).forEach(e => (e.rightFace = floodface));
-      nodes.filter(n => n.face === oldRightFace).forEach(n => (n.face = floodface));
+      replaceFace(oldRightFace);
     }
   }
 
   deleteEdge(topo, edge);
 
-  if (!fnodeEdges) edge.start.face = floodface;
+  if (!fnodeEdges) {
+    setNodeFace(topo, edge.start, floodface);
+    modNodes.push(edge.start);
+  }
 
-  if (edge.end !== edge.start && !lnodeEdges) edge.end.face = floodface;
+  if (edge.end !== edge.start && !lnodeEdges) {
+    setNodeFace(topo, edge.end, floodface);
+    modNodes.push(edge.end);
+  }
 
   const deletedFaces = [];
   if (oldLeftFace !== oldRightFace) {
@@ -695,6 +954,10 @@ function remEdge(topo, edge, modFace) {
 
   newface = modFace ? floodface : newface;
 
+  if (oldLeftFace !== oldRightFace && floodface !== universe) {
+    trigger(topo, 'mergeface', { origFaces: [oldLeftFace, oldRightFace], newFace: floodface });
+  }
+
   deletedFaces.forEach(f => {
     deleteFace(topo, f);
     trigger(topo, 'removeface', f);
@@ -702,10 +965,14 @@ function remEdge(topo, edge, modFace) {
 
   trigger(topo, 'removeedge', edge);
   if (newface.id !== -1) {
-    facesTree.remove(newface);
     updateFaceTree(topo, newface);
   }
-  trigger(topo, 'addface', newface);
+  modNodes.forEach(n => trigger(topo, 'modnode', n));
+  if (!modFace && newface.id !== -1) {
+    trigger(topo, 'addface', newface);
+  } else {
+    triggerModFaces(topo, [floodface]);
+  }
 
   return modFace ? floodface : newface;
 }
@@ -719,21 +986,182 @@ export function remEdgeModFace(topo, edge) {
 }
 
 function healEdges(topo, e1, e2, modEdge) {
-  return undefined;
+  const { edgesTree } = topo;
+
+  if (e1 === e2) {
+    throw new SpatialError(`cannot heal edge ${e1.id} with itself`);
+  }
+
+  if (e1.start === e1.end) {
+    throw new SpatialError(`edge ${e1.id} is closed, cannot heal to edge ${e2.id}`);
+  }
+
+  if (e2.start === e2.end) {
+    throw new SpatialError(`edge ${e2.id} is closed, cannot heal to edge ${e1.id}`);
+  }
+
+  const commonNodes = [e1.start, e1.end].filter(n => n === e2.start || n === e2.end);
+
+  if (commonNodes.length === 0) {
+    throw new SpatialError('non-connected edges');
+  }
+
+  let node;
+  let otherEdges;
+  commonNodes.some(n => {
+    otherEdges = getEdgeByNode(topo, n).filter(e => e !== e1 && e !== e2);
+    if (otherEdges.length === 0) {
+      node = n;
+      return true;
+    }
+    return false;
+  });
+
+  if (!node) {
+    throw new SpatialError(`other edges connected (${otherEdges.map(e => e.id).join(',')})`);
+  }
+
+  checkEdgeHeal(topo, e1, e2);
+  checkNodeRemoval(topo, node);
+
+  triggerBefore(topo, 'beforehealedge', { edges: [e1, e2] });
+
+  console.debug(`Healing edges ${e1.id} and ${e2.id} on node ${node.id}`);
+
+  // e1 keeps its direction in the healed edge, e2 is reversed if needed
+  const e2Forward = node === e1.end ? e2.start === node : e2.end === node;
+  const e2Coordinates = e2Forward ? e2.coordinates : e2.coordinates.slice().reverse();
+
+  let start, end, coordinates, startEdge, endEdge;
+
+  if (node === e1.end) {
+    start = e1.start;
+    end = e2Forward ? e2.end : e2.start;
+    coordinates = e1.coordinates.concat(e2Coordinates.slice(1));
+    startEdge = e1;
+    endEdge = e2;
+  } else {
+    start = e2Forward ? e2.start : e2.end;
+    end = e1.end;
+    coordinates = e2Coordinates.concat(e1.coordinates.slice(1));
+    startEdge = e2;
+    endEdge = e1;
+  }
+
+  const healed = modEdge ? e1 : {};
+
+  const isForward = e => e === e1 || e2Forward;
+  const next = (e, dir) => (dir ? [e.nextLeft, e.nextLeftDir] : [e.nextRight, e.nextRightDir]);
+  const map = (e, dir) => (e === e1 || e === e2 ? [healed, dir === isForward(e)] : [e, dir]);
+
+  const [nextRight, nextRightDir] = map(...next(startEdge, !isForward(startEdge)));
+  const [nextLeft, nextLeftDir] = map(...next(endEdge, isForward(endEdge)));
+
+  const updEdges = getEdgeByNode(topo, start !== end ? [start, end] : [start]).filter(e => e !== e1 && e !== e2);
+
+  if (modEdge) {
+    touch(topo, 'edge', e1);
+    edgesTree.remove(e1);
+  }
+
+  const props = {
+    start,
+    end,
+    coordinates,
+    nextLeft,
+    nextLeftDir,
+    nextRight,
+    nextRightDir,
+    leftFace: e1.leftFace,
+    rightFace: e1.rightFace
+  };
+  if (modEdge) {
+    updateEdge(topo, healed, props);
+  } else {
+    Object.assign(healed, props);
+  }
+
+  updEdges.forEach(e => {
+    touch(topo, 'edge', e);
+    [e.nextLeft, e.nextLeftDir] = map(e.nextLeft, e.nextLeftDir);
+    [e.nextRight, e.nextRightDir] = map(e.nextRight, e.nextRightDir);
+  });
+
+  if (modEdge) {
+    const xs = coordinates.map(c => c[0]);
+    const ys = coordinates.map(c => c[1]);
+    e1.minX = Math.min(...xs);
+    e1.minY = Math.min(...ys);
+    e1.maxX = Math.max(...xs);
+    e1.maxY = Math.max(...ys);
+    edgesTree.insert(e1);
+    deleteEdge(topo, e2);
+  } else {
+    insertEdge(topo, healed);
+    deleteEdge(topo, e1);
+    deleteEdge(topo, e2);
+  }
+
+  deleteNode(topo, node);
+
+  trigger(topo, 'healedge', { origEdges: [e1, e2], newEdge: healed });
+  trigger(topo, 'removenode', node);
+  if (modEdge) {
+    trigger(topo, 'removeedge', e2);
+    trigger(topo, 'modedge', e1);
+  } else {
+    trigger(topo, 'removeedge', e1);
+    trigger(topo, 'removeedge', e2);
+    trigger(topo, 'addedge', healed);
+  }
+  triggerModFaces(topo, [healed.leftFace, healed.rightFace]);
+
+  return modEdge ? node : healed;
 }
 
+/**
+ * Heal two edges by deleting the node connecting them, modifying the first edge and deleting the second edge.
+ *
+ * @param {module:topo~Topo} topo
+ * @param {module:edge~Edge} e1
+ * @param {module:edge~Edge} e2
+ * @return {module:node~Node} The removed node
+ */
 export function modEdgeHeal(topo, e1, e2) {
   return healEdges(topo, e1, e2, true);
 }
 
+/**
+ * Heal two edges by deleting the node connecting them, deleting both edges, and replacing them with an edge whose direction is the same as the first edge provided.
+ *
+ * @param {module:topo~Topo} topo
+ * @param {module:edge~Edge} e1
+ * @param {module:edge~Edge} e2
+ * @return {module:edge~Edge} The new edge
+ */
 export function newEdgeHeal(topo, e1, e2) {
   return healEdges(topo, e1, e2, false);
 }
 
+/**
+ * Split an edge by creating a new node along an existing edge, modifying the original edge and adding a new edge.
+ * The node is placed on the grid of the topology precision model, if any.
+ *
+ * @param {module:topo~Topo} topo
+ * @param {module:edge~Edge} edge
+ * @param {module:coordinate~Coordinate} coordinate
+ * @return {module:node~Node} The new node
+ */
 export function modEdgeSplit(topo, edge, coordinate) {
-  const { edges, edgesTree } = topo;
+  const { edgesTree } = topo;
+
+  const parts = split(edge.coordinates, coordinate, topo.scale);
+
+  if (parts.some(part => part.length < 2)) {
+    throw new SpatialError('coincident node');
+  }
 
-  const parts = split(edge.coordinates, coordinate);
+  triggerBefore(topo, 'beforesplitedge', { edge, coordinate });
 
   const splitCoordinate = parts[0][parts[0].length - 1];
 
@@ -759,11 +1187,14 @@ export function modEdgeSplit(topo, edge, coordinate) {
 
   const oldEnd = edge.end;
 
-  edge.coordinates = parts[0];
-  edge.nextLeft = newedge1;
-  edge.nextLeftDir = true;
-  edge.end = node;
+  touch(topo, 'edge', edge);
   edgesTree.remove(edge);
+  updateEdge(topo, edge, {
+    coordinates: parts[0],
+    nextLeft: newedge1,
+    nextLeftDir: true,
+    end: node
+  });
   const xs = edge.coordinates.map(c => c[0]);
   const ys = edge.coordinates.map(c => c[1]);
   edge.minX = Math.min(...xs);
@@ -772,16 +1203,20 @@ export function modEdgeSplit(topo, edge, coordinate) {
   edge.maxY = Math.max(...ys);
   edgesTree.insert(edge);
 
-  edges
+  const oldEndEdges = getEdgesByNode(topo, oldEnd);
+
+  oldEndEdges
     .filter(e => e.nextRight === edge && !e.nextRightDir && e.start === oldEnd && e !== newedge1)
     .forEach(e => {
+      touch(topo, 'edge', e);
       e.nextRight = newedge1;
       e.nextRightDir = false;
     });
 
-  edges
+  oldEndEdges
     .filter(e => e.nextLeft === edge && !e.nextLeftDir && e.end === oldEnd && e !== newedge1)
     .forEach(e => {
+      touch(topo, 'edge', e);
       e.nextLeft = newedge1;
       e.nextLeftDir = false;
     });
@@ -790,10 +1225,94 @@ export function modEdgeSplit(topo, edge, coordinate) {
   trigger(topo, 'addedge', newedge1);
   trigger(topo, 'modedge', edge);
   trigger(topo, 'splitedge', { origEdge: edge, newEdge: newedge1 });
+  triggerModFaces(topo, [edge.leftFace, edge.rightFace]);
 
   return node;
 }
 
-export function newEdgesSplit(topo, edge, coordinate, skipISOChecks) {
-  return undefined;
+/**
+ * Split an edge by creating a new node along an existing edge, deleting the original edge and replacing it with two new edges.
+ * The node is placed on the grid of the topology precision model, if any.
+ *
+ * @param {module:topo~Topo} topo
+ * @param {module:edge~Edge} edge
+ * @param {module:coordinate~Coordinate} coordinate
+ * @param {boolean} skipISOChecks Skip the coincident node and point on edge checks
+ * @param {number} [tolerance] Defaults to the topology tolerance
+ * @return {module:node~Node} The new node
+ */
+export function newEdgesSplit(topo, edge, coordinate, skipISOChecks, tolerance) {
+  if (!skipISOChecks) {
+    const tol = resolveTolerance(topo, tolerance);
+    if (getNodeByPoint(topo, coordinate, tol)) {
+      throw new SpatialError('coincident node');
+    }
+    if (distance(coordinate, edge.coordinates) > tol) {
+      throw new SpatialError('point not on edge');
+    }
+  }
+
+  const parts = split(edge.coordinates, coordinate, topo.scale);
+
+  if (parts.some(part => part.length < 2)) {
+    throw new SpatialError('coincident node');
+  }
+
+  triggerBefore(topo, 'beforesplitedge', { edge, coordinate });
+
+  const splitCoordinate = parts[0][parts[0].length - 1];
+
+  const node = {
+    coordinate: splitCoordinate
+  };
+
+  insertNode(topo, node);
+
+  const newedge1 = {
+    start: edge.start,
+    end: node,
+    coordinates: parts[0],
+    leftFace: edge.leftFace,
+    rightFace: edge.rightFace
+  };
+
+  const newedge2 = {
+    start: node,
+    end: edge.end,
+    coordinates: parts[1],
+    leftFace: edge.leftFace,
+    rightFace: edge.rightFace
+  };
+
+  // walking the original edge forward now starts on newedge1, walking it backward starts on newedge2
+  const map = (e, dir) => (e === edge ? (dir ? [newedge1, true] : [newedge2, false]) : [e, dir]);
+
+  newedge1.nextLeft = newedge2;
+  newedge1.nextLeftDir = true;
+  [newedge1.nextRight, newedge1.nextRightDir] = map(edge.nextRight, edge.nextRightDir);
+
+  newedge2.nextRight = newedge1;
+  newedge2.nextRightDir = false;
+  [newedge2.nextLeft, newedge2.nextLeftDir] = map(edge.nextLeft, edge.nextLeftDir);
+
+  const updEdges = getEdgeByNode(topo, edge.start !== edge.end ? [edge.start, edge.end] : [edge.start]).filter(e => e !== edge);
+
+  updEdges.forEach(e => {
+    touch(topo, 'edge', e);
+    [e.nextLeft, e.nextLeftDir] = map(e.nextLeft, e.nextLeftDir);
+    [e.nextRight, e.nextRightDir] = map(e.nextRight, e.nextRightDir);
+  });
+
+  insertEdge(topo, newedge1);
+  insertEdge(topo, newedge2);
+  deleteEdge(topo, edge);
+
+  trigger(topo, 'addnode', node);
+  trigger(topo, 'removeedge', edge);
+  trigger(topo, 'addedge', newedge1);
+  trigger(topo, 'addedge', newedge2);
+  trigger(topo, 'splitedge', { origEdge: edge, newEdges: [newedge1, newedge2] });
+  triggerModFaces(topo, [edge.leftFace, edge.rightFace]);
+
+  return node;
 }
@@ -1,8 +1,18 @@
 /** @module */
 
-import { signedArea, pointInPoly, polygonize } from './utils'
-import { insertFace, updateFaceTree, trigger } from './topo'
-import { sid } from './edge'
+import { signedArea, pointInPoly, pointOnLine } from './utils'
+import {
+  insertFace,
+  updateFaceTree,
+  trigger,
+  updateEdge,
+  setNodeFace,
+  getEdgesByFace,
+  getNodesByFace,
+  resolveTolerance
+} from './topo'
+import { sid, getEdgeByPoint } from './edge'
+import SpatialError from './SpatialError'
 
 /**
  * Face definition
@@ -11,32 +21,35 @@ import { sid } from './edge'
  * @property {number} id Face ID
  */
 
-function getNodeByFace (topo, face) {
-  // TODO: only within face mbr
-  return topo.nodes.filter(n => n.face === face)
-}
-
-export function getFaceByPoint (topo, c, tol) {
-  const result = topo.facesTree.search({
-    minX: c[0] - tol,
-    minY: c[1] - tol,
-    maxX: c[0] + tol,
-    maxY: c[1] + tol
-  })
-
-  const fs = result
-    .map(f => ({
-      f,
-      s: getFaceGeometry(topo, f)[0]
-    }))
+/**
+ * Finds the face containing a point location. Holes are taken into account, so a point on an island is in the island
+ * face rather than in the face around it. Points outside of every face are in the universe face. Fails if the point
+ * is within the tolerance of an edge bounding two different faces, as it is on their common boundary.
+ *
+ * @param {module:topo~Topo} topo
+ * @param {module:coordinate~Coordinate} c
+ * @param {number} [tolerance] Defaults to the topology tolerance
+ * @return {module:face~Face}
+ */
+export function getFaceByPoint (topo, c, tolerance) {
+  const tol = resolveTolerance(topo, tolerance)
 
-  const candidates = fs
-    .filter(fs => pointInPoly(c, fs.s))
-    .map(fs => fs.f)
+  const edgeFaces = getEdgeByPoint(topo, c, tol)
+    .reduce((faces, e) => faces.add(e.leftFace).add(e.rightFace), new Set())
+  if (edgeFaces.size > 1) {
+    throw new SpatialError('two or more faces found')
+  }
+  if (edgeFaces.size === 1) {
+    return Array.from(edgeFaces)[0]
+  }
 
-  // TODO: throw exception on more than one candidate?
+  const candidates = topo.facesTree.search({ minX: c[0], minY: c[1], maxX: c[0], maxY: c[1] })
+    .map(f => ({ f, polygon: getFaceGeometry(topo, f) }))
+    .filter(({ polygon }) => polygon.length > 0 && pointInPoly(c, polygon[0]) && !polygon.slice(1).some(hole => pointInPoly(c, hole)))
+    .map(({ f, polygon }) => ({ f, area: Math.abs(signedArea(polygon[0])) }))
+    .sort((a, b) => a.area - b.area)
 
-  return candidates
+  return candidates.length > 0 ? candidates[0].f : topo.universe
 }
 
 /**
@@ -56,30 +69,166 @@ export function getRingEdges (topo, edge, dir, limit, foundEdges) {
   return foundEdges
 }
 
-function getEdgeByFace (topo, face, mbr) {
-  return topo.edges.filter(e => e.leftFace === face || e.rightFace === face)
-  // TODO: include within mbr
+/**
+ * Returns the rings bounding a face, each as the ordered list of directed edges met by walking it with the face on
+ * the left side. Edges having the face on both sides are skipped, which separates holes connected to the shell or
+ * to each other by such edges into rings of their own.
+ * @param {module:topo~Topo} topo
+ * @param {module:face~Face} face
+ * @return {Array<Array<{edge: module:edge~Edge, dir: boolean}>>}
+ */
+export function getFaceRings (topo, face) {
+  const next = (edge, dir) => dir ? { edge: edge.nextLeft, dir: edge.nextLeftDir } : { edge: edge.nextRight, dir: edge.nextRightDir }
+
+  const halfEdges = getEdgesByFace(topo, face)
+    .filter(e => e.leftFace !== e.rightFace)
+    .map(e => ({ edge: e, dir: e.leftFace === face }))
+
+  const visited = new Map(halfEdges.map(he => [he.edge, false]))
+
+  const rings = []
+  halfEdges.forEach(start => {
+    if (visited.get(start.edge)) return
+    const ring = []
+    let he = start
+    while (!visited.get(he.edge)) {
+      visited.set(he.edge, true)
+      ring.push(he)
+      he = next(he.edge, he.dir)
+      let guard = 0
+      while (he.edge.leftFace === he.edge.rightFace) {
+        if (guard++ > topo.edges.length * 2) throw new Error(`corrupted topo: ring of face ${face.id} does not close`)
+        he = next(he.edge, !he.dir)
+      }
+      if (!visited.has(he.edge) || (he.dir ? he.edge.leftFace : he.edge.rightFace) !== face) {
+        throw new Error(`corrupted topo: edge ${he.edge.id} in ring of face ${face.id} does not bind it`)
+      }
+    }
+    if (he.edge !== start.edge) throw new Error(`corrupted topo: ring of face ${face.id} does not close`)
+    rings.push(ring)
+  })
+
+  return rings
+}
+
+/**
+ * Returns the coordinates of a ring of directed edges.
+ * @param {Array<{edge: module:edge~Edge, dir: boolean}>} ring
+ * @return {module:coordinate~Coordinate[]}
+ */
+export function getRingCoordinates (ring) {
+  return ring
+    .map(he => he.dir ? he.edge.coordinates : he.edge.coordinates.slice().reverse())
+    .reduce((a, b) => a.length === 0 ? b.slice() : a.concat(b.slice(1)), [])
+}
+
+/**
+ * Splits a ring of directed edges passing more than once through a node into simple rings.
+ * @param {Array<{edge: module:edge~Edge, dir: boolean}>} ring
+ * @return {Array<Array<{edge: module:edge~Edge, dir: boolean}>>}
+ * @private
+ */
+export function splitRing (ring) {
+  const rings = []
+  const stack = []
+  const starts = new Map()
+  ring.forEach((he, i) => {
+    const start = he.dir ? he.edge.start : he.edge.end
+    const end = he.dir ? he.edge.end : he.edge.start
+    starts.set(start, stack.length)
+    stack.push(he)
+    if (starts.has(end) && (starts.get(end) > 0 || i < ring.length - 1)) {
+      const loop = stack.splice(starts.get(end))
+      loop.forEach(he => starts.delete(he.dir ? he.edge.start : he.edge.end))
+      rings.push(loop)
+    }
+  })
+  if (stack.length > 0) {
+    rings.push(stack)
+  }
+  return rings
 }
 
+const geometries = new WeakMap()
+
 /**
- * Returns the polygon in the given topology with the specified face.
+ * Returns the polygon in the given topology with the specified face. The first ring is the shell, oriented
+ * counter-clockwise, followed by a ring for each hole, oriented clockwise. Holes are bounded by the edges of the face
+ * enclosing isolated edges or other faces.
+ *
+ * The rings are built walking the edges around the face and are cached until an edge of the face changes.
  * @param {module:topo~Topo} topo
  * @param {module:face~Face} face
- * @return {number[][][]}
+ * @return {number[][][]} Empty if the face has no edges or is the universe
  */
 export function getFaceGeometry (topo, face) {
-  const edges = getEdgeByFace(topo, face, false)
-  if (edges.length === 0) {
-    return []
-  } else {
-    const css = edges.map(e => e.coordinates)
-    return polygonize(css)
+  let geometry = geometries.get(face)
+  if (!geometry) {
+    const rings = getFaceRings(topo, face)
+      .reduce((rings, ring) => rings.concat(splitRing(ring)), [])
+      .map(getRingCoordinates)
+    const shells = rings.filter(ring => signedArea(ring) < 0)
+    if (shells.length > 1) {
+      throw new Error(`corrupted topo: face ${face.id} has multiple shells`)
+    }
+    geometry = shells.length === 0 ? [] : shells.concat(rings.filter(ring => signedArea(ring) > 0))
+    geometries.set(face, geometry)
+  }
+  return geometry.map(cs => cs.slice())
+}
+
+/**
+ * Drops the cached geometry of a face.
+ * @param {module:face~Face} face
+ * @private
+ */
+export function invalidateFaceGeometry (face) {
+  geometries.delete(face)
+}
+
+/**
+ * Drops the cached geometry of the faces affected by an event, called for every event triggered on the topology.
+ * @param {module:topo~Topo} topo
+ * @param {string} name Event name
+ * @param {Object} e Event object
+ * @private
+ */
+export function updateFaceGeometries (topo, name, e) {
+  switch (name) {
+    case 'addedge':
+    case 'modedge':
+    case 'removeedge':
+      invalidateFaceGeometry(e.leftFace)
+      return invalidateFaceGeometry(e.rightFace)
+    case 'addface':
+    case 'modface':
+    case 'removeface':
+      return invalidateFaceGeometry(e)
+    case 'splitface':
+      invalidateFaceGeometry(e.origFace)
+      return invalidateFaceGeometry(e.newFace)
+    case 'mergeface':
+      e.origFaces.forEach(invalidateFaceGeometry)
+      return invalidateFaceGeometry(e.newFace)
   }
 }
 
-function getInteriorEdgePoint (coordinates) {
-  // TODO: too naive
-  return coordinates[1]
+/**
+ * Returns a point in the interior of an edge which is not on a ring. As edges only meet at nodes, any vertex or
+ * segment midpoint of an edge not in the ring will do, unless round-off puts it on the ring.
+ * @param {module:edge~Edge} edge
+ * @param {module:coordinate~Coordinate[]} ring
+ * @return {module:coordinate~Coordinate}
+ */
+function getInteriorEdgePoint (edge, ring) {
+  const cs = edge.coordinates
+  const candidates = cs.slice(1, -1)
+    .concat(cs.slice(1).map((c, i) => [(cs[i][0] + c[0]) / 2, (cs[i][1] + c[1]) / 2]))
+  const point = candidates.find(c => !pointOnLine(c, ring))
+  if (!point) {
+    throw new Error(`corrupted topo: edge ${edge.id} lies on the ring of a face split`)
+  }
+  return point
 }
 
 /**
@@ -88,10 +237,11 @@ function getInteriorEdgePoint (coordinates) {
  * @param {boolean} dir
  * @param {module:face~Face} face
  * @param {boolean} mbrOnly
+ * @param {module:face~Face} [otherFace] Face split from the other side of the edge, when both replace the original face
  * @return {module:face~Face}
  * @private
  */
-export function addFaceSplit (topo, edge, dir, face, mbrOnly) {
+export function addFaceSplit (topo, edge, dir, face, mbrOnly, otherFace) {
   console.debug(`addFaceSplit called on edge ${sid(edge, dir)} and face ${face.id}`)
 
   const universe = topo.faces[0]
@@ -135,17 +285,12 @@ export function addFaceSplit (topo, edge, dir, face, mbrOnly) {
 
   if (mbrOnly && face !== universe) {
     if (isccw) {
-      // TODO: update mbr for face
+      console.debug(`Ring of edge ${edge.id} is the new shell of face ${face.id}, updating its bounds`)
+      updateFaceTree(topo, face)
     }
     return -1
   }
 
-  if (face !== universe && !isccw) {
-    // TODO: newFace mbr shuld be same as face
-  } else {
-    // TODO: newFace mbr shuld be shellbox
-  }
-
   const newFaceIsOutside = face !== universe && !isccw
 
   if (newFaceIsOutside) {
@@ -154,9 +299,9 @@ export function addFaceSplit (topo, edge, dir, face, mbrOnly) {
     console.debug('New face is on the inside of the ring, updating forward edges in new ring')
   }
 
-  const faceEdges = getEdgeByFace(topo, face, newFace)
+  const faceEdges = getEdgesByFace(topo, face)
 
-  console.debug(`getEdgeByFace returned ${faceEdges.length} edges`)
+  console.debug(`getEdgesByFace returned ${faceEdges.length} edges`)
 
   faceEdges.forEach(e => {
     let found = 0
@@ -164,10 +309,10 @@ export function addFaceSplit (topo, edge, dir, face, mbrOnly) {
       if (e === se.edge) {
         if (se.dir) {
           console.debug(`Edge ${e.id} is a forward edge of the new ring`)
-          e.leftFace = newFace
+          updateEdge(topo, e, { leftFace: newFace })
         } else {
           console.debug(`Edge ${e.id} is a backward edge of the new ring`)
-          e.rightFace = newFace
+          updateEdge(topo, e, { rightFace: newFace })
         }
         found++
         if (found === 2) return false
@@ -176,8 +321,7 @@ export function addFaceSplit (topo, edge, dir, face, mbrOnly) {
     })
     if (found > 0) return
 
-    const ep = getInteriorEdgePoint(edge.coordinates)
-    const contains = pointInPoly(ep, shell)
+    const contains = pointInPoly(getInteriorEdgePoint(e, shell), shell)
 
     if (newFaceIsOutside) {
       if (contains) {
@@ -193,16 +337,17 @@ export function addFaceSplit (topo, edge, dir, face, mbrOnly) {
 
     if (e.leftFace === face) {
       console.debug(`Edge ${e.id} has new face on the left side`)
-      e.leftFace = newFace
+      updateEdge(topo, e, { leftFace: newFace })
     }
 
     if (e.rightFace === face) {
       console.debug(`Edge ${e.id} has new face on the right side`)
-      e.rightFace = newFace
+      updateEdge(topo, e, { rightFace: newFace })
     }
   })
 
-  const nodes = getNodeByFace(topo, face)
+  const nodes = getNodesByFace(topo, face)
+  const movedNodes = []
 
   nodes.forEach(n => {
     const contains = pointInPoly(n.coordinate, shell)
@@ -218,13 +363,16 @@ export function addFaceSplit (topo, edge, dir, face, mbrOnly) {
         return
       }
     }
-    n.face = newFace
+    setNodeFace(topo, n, newFace)
+    movedNodes.push(n)
   })
 
   insertFace(topo, newFace)
   updateFaceTree(topo, newFace)
 
+  trigger(topo, 'splitface', otherFace ? { origFace: face, newFace, newFaces: [otherFace, newFace] } : { origFace: face, newFace })
   trigger(topo, 'addface', newFace)
+  movedNodes.forEach(n => trigger(topo, 'modnode', n))
 
   return newFace
 }
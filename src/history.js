@@ -0,0 +1,93 @@
+/** @module */
+
+import { startRecording, stopRecording, applyChange } from './snapshot'
+import { notify, collectChanges } from './topo'
+
+/**
+ * Undo/redo history of a topology
+ *
+ * @typedef {Object} History
+ * @property {function} undo Reverts the last recorded step, returns false if there was none
+ * @property {function} redo Reapplies the last reverted step, returns false if there was none
+ * @property {function} canUndo Returns true if there is a step to undo
+ * @property {function} canRedo Returns true if there is a step to redo
+ * @property {function} group Calls a function recording all the changes it makes as a single step, returns its result
+ * @property {function} clear Forgets all recorded steps
+ */
+
+/**
+ * Creates the history of a topology. Every change made by the mutating methods of the topology is recorded as a
+ * step, which can be reverted restoring the exact prior state, including object identities, IDs and the spatial
+ * index contents. Undo and redo fire the events describing the difference, for example `removeedge` when undoing
+ * the addition of an edge. Only the objects touched by a step are recorded, and the oldest steps are forgotten beyond
+ * the limit.
+ *
+ * @param {module:topo~Topo} topo
+ * @param {number} [limit=100] Maximum number of steps that can be undone
+ * @return {module:history~History}
+ */
+export function createHistory (topo, limit = 100) {
+  const undoStack = []
+  const redoStack = []
+  let depth = 0
+
+  const apply = (change, reverse) => collectChanges(topo, () => applyChange(topo, change, reverse, (name, o) => notify(topo, name, o)))
+
+  const checkNotGrouping = () => {
+    if (depth > 0) {
+      throw new Error('cannot undo or redo while recording a step')
+    }
+  }
+
+  return {
+    undo () {
+      checkNotGrouping()
+      if (undoStack.length === 0) return false
+      const change = undoStack.pop()
+      apply(change, true)
+      redoStack.push(change)
+      return true
+    },
+    redo () {
+      checkNotGrouping()
+      if (redoStack.length === 0) return false
+      const change = redoStack.pop()
+      apply(change, false)
+      undoStack.push(change)
+      return true
+    },
+    canUndo () {
+      return undoStack.length > 0
+    },
+    canRedo () {
+      return redoStack.length > 0
+    },
+    group (fn) {
+      if (depth > 0) {
+        return fn()
+      }
+      const recorder = startRecording(topo)
+      let result
+      let change
+      depth++
+      try {
+        result = fn()
+      } finally {
+        depth--
+        change = stopRecording(topo, recorder)
+      }
+      if (change) {
+        undoStack.push(change)
+        if (undoStack.length > limit) {
+          undoStack.shift()
+        }
+        redoStack.length = 0
+      }
+      return result
+    },
+    clear () {
+      undoStack.length = 0
+      redoStack.length = 0
+    }
+  }
+}
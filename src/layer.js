@@ -0,0 +1,238 @@
+/** @module */
+
+import SpatialError from './SpatialError'
+import { getFaceGeometry } from './face'
+import { union, lineMerge } from './utils'
+import { touch, addElement } from './snapshot'
+import { indexFeature, unindexFeature, getFeaturesByPrimitive } from './topo'
+
+/**
+ * Layer definition
+ *
+ * @typedef {Object} Layer
+ * @property {number} id Layer ID
+ * @property {string} name Layer name
+ * @property {string} type Geometry type, one of `point`, `line`, `polygon` or `collection`
+ * @property {module:layer~TopoGeometry[]} features
+ * @property {number} featuresSeq
+ */
+
+/**
+ * Feature defined by a set of topology primitives
+ *
+ * @typedef {Object} TopoGeometry
+ * @property {number} id Feature ID, unique within its layer
+ * @property {number} layer Layer ID
+ * @property {string} type Geometry type
+ * @property {module:node~Node[]} nodes
+ * @property {module:edge~Edge[]} edges
+ * @property {module:face~Face[]} faces
+ */
+
+const allowed = {
+  point: ['nodes'],
+  line: ['edges'],
+  polygon: ['faces'],
+  collection: ['nodes', 'edges', 'faces']
+}
+
+function getFeatures (topo, primitives) {
+  const features = []
+  primitives.forEach(p => getFeaturesByPrimitive(topo, p).forEach(f => features.indexOf(f) === -1 && features.push(f)))
+  return features
+}
+
+function representationError (topo, feature, reason) {
+  const layer = topo.layers.find(l => l.id === feature.layer)
+  return new SpatialError(`TopoGeom ${feature.id} in layer ${layer.id} (${layer.name}) cannot be represented ${reason}`)
+}
+
+function replace (topo, feature, key, removed, added) {
+  const elements = feature[key]
+  if (!removed.some(e => elements.indexOf(e) !== -1)) {
+    return
+  }
+  const result = []
+  const push = e => result.indexOf(e) === -1 && result.push(e)
+  elements.forEach(e => removed.indexOf(e) === -1 ? push(e) : added.forEach(push))
+  touch(topo, 'feature', feature)
+  unindexFeature(topo, feature)
+  feature[key] = result
+  indexFeature(topo, feature)
+}
+
+/**
+ * Adds a feature layer to a topology.
+ *
+ * @param {module:topo~Topo} topo
+ * @param {string} name Layer name
+ * @param {string} type Geometry type, one of `point`, `line`, `polygon` or `collection`
+ * @return {module:layer~Layer}
+ */
+export function addLayer (topo, name, type) {
+  if (!allowed[type]) {
+    throw new SpatialError(`invalid layer type ${type}`)
+  }
+  if (topo.layers.some(l => l.name === name)) {
+    throw new SpatialError(`layer ${name} already exists`)
+  }
+  const layer = {
+    id: topo.layersSeq++,
+    name,
+    type,
+    features: [],
+    featuresSeq: 1
+  }
+  addElement(topo, 'layer', topo.layers, layer)
+  return layer
+}
+
+/**
+ * Creates a feature in a layer from an array of nodes, edges or faces. A layer of type `point` accepts nodes, `line`
+ * accepts edges, `polygon` accepts faces and `collection` accepts any of them.
+ *
+ * The elements of the feature are kept up to date when they are split, healed or merged.
+ *
+ * @param {module:topo~Topo} topo
+ * @param {module:layer~Layer} layer
+ * @param {Array<module:node~Node|module:edge~Edge|module:face~Face>} elements
+ * @return {module:layer~TopoGeometry}
+ */
+export function createTopoGeom (topo, layer, elements) {
+  if (topo.layers.indexOf(layer) === -1) {
+    throw new SpatialError(`layer ${layer.name} is not part of the topology`)
+  }
+
+  const feature = {
+    id: layer.featuresSeq,
+    layer: layer.id,
+    type: layer.type,
+    nodes: [],
+    edges: [],
+    faces: []
+  }
+
+  elements.forEach(element => {
+    const key = ['nodes', 'edges', 'faces'].find(key => topo[key].indexOf(element) !== -1)
+    if (!key || element === topo.universe) {
+      throw new SpatialError(`element ${element.id} is not a node, edge or face of the topology`)
+    }
+    if (allowed[layer.type].indexOf(key) === -1) {
+      throw new SpatialError(`a ${layer.type} layer cannot contain ${key}`)
+    }
+    if (feature[key].indexOf(element) === -1) {
+      feature[key] = feature[key].concat([element])
+    }
+  })
+
+  touch(topo, 'layer', layer)
+  layer.featuresSeq++
+  addElement(topo, 'feature', layer.features, feature)
+  indexFeature(topo, feature)
+
+  return feature
+}
+
+/**
+ * Returns the geometry of a feature as a GeoJSON geometry object. Edges are merged into lines and faces are unioned
+ * into polygons.
+ *
+ * @param {module:topo~Topo} topo
+ * @param {module:layer~TopoGeometry} feature
+ * @return {Object} GeoJSON geometry
+ */
+export function getTopoGeomGeometry (topo, feature) {
+  const single = (type, coordinates) => coordinates.length === 1
+    ? { type, coordinates: coordinates[0] }
+    : { type: `Multi${type}`, coordinates }
+
+  const points = () => single('Point', feature.nodes.map(n => n.coordinate))
+  const lines = () => single('LineString', lineMerge(feature.edges.map(e => e.coordinates)))
+  const polygons = () => single('Polygon', union(feature.faces
+    .map(f => getFaceGeometry(topo, f))
+    .filter(css => css.length > 0)))
+
+  switch (feature.type) {
+    case 'point':
+      return points()
+    case 'line':
+      return lines()
+    case 'polygon':
+      return polygons()
+  }
+
+  const geometries = []
+  if (feature.nodes.length > 0) geometries.push(points())
+  if (feature.edges.length > 0) geometries.push(lines())
+  if (feature.faces.length > 0) geometries.push(polygons())
+  return { type: 'GeometryCollection', geometries }
+}
+
+/**
+ * Throws if healing two edges would change the shape of a feature, that is if a feature uses only one of them.
+ * @param {module:topo~Topo} topo
+ * @param {module:edge~Edge} e1
+ * @param {module:edge~Edge} e2
+ * @private
+ */
+export function checkEdgeHeal (topo, e1, e2) {
+  getFeatures(topo, [e1, e2]).forEach(f => {
+    if ((f.edges.indexOf(e1) === -1) !== (f.edges.indexOf(e2) === -1)) {
+      throw representationError(topo, f, `healing edges ${e1.id} and ${e2.id}`)
+    }
+  })
+}
+
+/**
+ * Throws if removing an edge would change the shape of a feature, that is if a feature uses the edge or only one of
+ * the faces that would be merged.
+ * @param {module:topo~Topo} topo
+ * @param {module:edge~Edge} edge
+ * @private
+ */
+export function checkEdgeRemoval (topo, edge) {
+  const { leftFace, rightFace } = edge
+  getFeatures(topo, [edge, leftFace, rightFace]).forEach(f => {
+    const usesFace = face => f.faces.indexOf(face) !== -1
+    if (f.edges.indexOf(edge) !== -1 || (leftFace !== rightFace && usesFace(leftFace) !== usesFace(rightFace))) {
+      throw representationError(topo, f, `dropping edge ${edge.id}`)
+    }
+  })
+}
+
+/**
+ * Throws if removing a node would change the shape of a feature, that is if a feature uses the node.
+ * @param {module:topo~Topo} topo
+ * @param {module:node~Node} node
+ * @private
+ */
+export function checkNodeRemoval (topo, node) {
+  const f = getFeaturesByPrimitive(topo, node)[0]
+  if (f) {
+    throw representationError(topo, f, `dropping node ${node.id}`)
+  }
+}
+
+/**
+ * Keeps feature elements up to date, called for every event triggered on the topology.
+ * @param {module:topo~Topo} topo
+ * @param {string} name Event name
+ * @param {Object} e Event object
+ * @private
+ */
+export function updateFeatures (topo, name, e) {
+  switch (name) {
+    case 'splitedge':
+      return getFeatures(topo, [e.origEdge])
+        .forEach(f => replace(topo, f, 'edges', [e.origEdge], e.newEdges || [e.origEdge, e.newEdge]))
+    case 'healedge':
+      return getFeatures(topo, e.origEdges)
+        .forEach(f => replace(topo, f, 'edges', e.origEdges, [e.newEdge]))
+    case 'splitface':
+      return getFeatures(topo, [e.origFace])
+        .forEach(f => replace(topo, f, 'faces', [e.origFace], e.newFaces || [e.origFace, e.newFace]))
+    case 'mergeface':
+      return getFeatures(topo, e.origFaces)
+        .forEach(f => replace(topo, f, 'faces', e.origFaces, [e.newFace]))
+  }
+}
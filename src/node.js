@@ -1,7 +1,11 @@
 /** @module */
 
-import { insertNode, deleteNode, trigger } from './topo'
+import { insertNode, deleteNode, setNodeFace, trigger, triggerBefore, resolveTolerance } from './topo'
 import { getFaceByPoint } from './face'
+import { getEdgeByPoint } from './edge'
+import { pointDistance, makePrecise } from './utils'
+import { checkNodeRemoval } from './layer'
+import { touch } from './snapshot'
 import SpatialError from './SpatialError'
 
 /**
@@ -17,40 +21,53 @@ import SpatialError from './SpatialError'
  * @property {number} maxY Maximum Y of bounds
  */
 
+function getNodesByPoint (topo, coordinate, tol) {
+  return topo.nodesTree.search({
+    minX: coordinate[0] - tol,
+    minY: coordinate[1] - tol,
+    maxX: coordinate[0] + tol,
+    maxY: coordinate[1] + tol
+  })
+    .map(n => ({ n, d: pointDistance(n.coordinate, coordinate) }))
+    .filter(nd => nd.d <= tol)
+    .sort((a, b) => a.d - b.d || a.n.id - b.n.id)
+    .map(nd => nd.n)
+}
+
 /**
- * Find the node at a point location.
+ * Find the node at a point location. If more than one node is within the tolerance the closest one is returned.
  *
  * @param {module:topo~Topo} topo
  * @param {module:coordinate~Coordinate} coordinate
+ * @param {number} [tolerance] Defaults to the topology tolerance
  * @return {module:node~Node}
  */
-export function getNodeByPoint (topo, coordinate) {
-  const result = topo.nodesTree.search({
-    minX: coordinate[0],
-    minY: coordinate[1],
-    maxX: coordinate[0],
-    maxY: coordinate[1]
-  })
-  if (result.length === 0) return
-  if (result.length === 1) return result[0]
-  throw Error('getNodeByPoint: unexpected search result')
+export function getNodeByPoint (topo, coordinate, tolerance) {
+  return getNodesByPoint(topo, coordinate, resolveTolerance(topo, tolerance))[0]
 }
 
 /**
  * Adds an isolated node to a face in a topology and returns the new node. If face is null, the node is still created.
+ * Fails if a node or an edge is within the tolerance of the location. The location is rounded to the grid of the
+ * topology precision model, if any.
  *
  * @param {module:topo~Topo} topo
  * @param {module:coordinate~Coordinate} coordinate
+ * @param {number} [tolerance] Defaults to the topology tolerance
  * @return {module:node~Node}
  */
-export function addIsoNode (topo, coordinate) {
-  const { nodesTree: tree, faces } = topo
+export function addIsoNode (topo, coordinate, tolerance) {
+  const tol = resolveTolerance(topo, tolerance)
 
-  const containingFaces = getFaceByPoint(topo, coordinate, 0)
+  coordinate = makePrecise(coordinate, topo.scale)
+
+  if (getNodesByPoint(topo, coordinate, tol).length > 0) throw new SpatialError('coincident node')
+
+  if (getEdgeByPoint(topo, coordinate, tol).length > 0) throw new SpatialError('edge crosses node')
 
   const node = {
     id: topo.nodesSeq,
-    face: containingFaces.length === 0 ? faces[0] : containingFaces[0],
+    face: getFaceByPoint(topo, coordinate, 0),
     coordinate,
     minX: coordinate[0],
     minY: coordinate[1],
@@ -58,17 +75,57 @@ export function addIsoNode (topo, coordinate) {
     maxY: coordinate[1]
   }
 
-  if (!tree.collides(node)) {
-    insertNode(topo, node)
-    trigger(topo, 'addnode', node)
-    return node
-  } else {
-    throw new SpatialError('coincident node')
-  }
+  triggerBefore(topo, 'beforeaddnode', { coordinate })
+  insertNode(topo, node)
+  trigger(topo, 'addnode', node)
+  return node
 }
 
 export function removeIsoNode (topo, node) {
   if (!node.face) throw new SpatialError('not isolated node')
+  checkNodeRemoval(topo, node)
+  triggerBefore(topo, 'beforeremovenode', { node })
   deleteNode(topo, node)
   trigger(topo, 'removenode', node)
 }
+
+/**
+ * Moves an isolated node in a topology from one point to another. If the new location is in another face the node is
+ * assigned to that face.
+ *
+ * @param {module:topo~Topo} topo
+ * @param {module:node~Node} node
+ * @param {module:coordinate~Coordinate} coordinate
+ * @param {number} [tolerance] Defaults to the topology tolerance
+ * @return {module:node~Node}
+ */
+export function moveIsoNode (topo, node, coordinate, tolerance) {
+  const { nodesTree } = topo
+  const tol = resolveTolerance(topo, tolerance)
+
+  if (!node.face) throw new SpatialError('not isolated node')
+
+  coordinate = makePrecise(coordinate, topo.scale)
+
+  if (getNodesByPoint(topo, coordinate, tol).some(n => n !== node)) throw new SpatialError('coincident node')
+
+  if (getEdgeByPoint(topo, coordinate, tol).length > 0) throw new SpatialError('edge crosses node')
+
+  const face = getFaceByPoint(topo, coordinate, 0)
+
+  triggerBefore(topo, 'beforemodnode', { node, coordinate })
+
+  touch(topo, 'node', node)
+  nodesTree.remove(node)
+  setNodeFace(topo, node, face)
+  node.coordinate = coordinate
+  node.minX = coordinate[0]
+  node.minY = coordinate[1]
+  node.maxX = coordinate[0]
+  node.maxY = coordinate[1]
+  nodesTree.insert(node)
+
+  trigger(topo, 'modnode', node)
+
+  return node
+}
@@ -0,0 +1,155 @@
+/** @module */
+
+import { createTopology, rebuildIndices } from './topo'
+
+const bounds = o => ({ minX: o.minX, minY: o.minY, maxX: o.maxX, maxY: o.maxY })
+
+const ref = o => o ? o.id : null
+
+/**
+ * Serializes a topology to a plain object that can be passed to `JSON.stringify`. References between nodes, edges
+ * and faces are replaced by their IDs.
+ *
+ * @param {module:topo~Topo} topo
+ * @return {Object}
+ */
+export function serializeTopology (topo) {
+  const inFacesTree = new Set(topo.facesTree.all())
+  return {
+    name: topo.name,
+    srid: topo.srid,
+    tolerance: topo.tolerance,
+    scale: topo.scale,
+    nodesSeq: topo.nodesSeq,
+    edgesSeq: topo.edgesSeq,
+    facesSeq: topo.facesSeq,
+    nodes: topo.nodes.map(n => ({
+      id: n.id,
+      coordinate: n.coordinate.slice(),
+      face: ref(n.face)
+    })),
+    edges: topo.edges.map(e => ({
+      id: e.id,
+      start: e.start.id,
+      end: e.end.id,
+      coordinates: e.coordinates.map(c => c.slice()),
+      nextLeft: ref(e.nextLeft),
+      nextLeftDir: e.nextLeftDir,
+      nextRight: ref(e.nextRight),
+      nextRightDir: e.nextRightDir,
+      leftFace: ref(e.leftFace),
+      rightFace: ref(e.rightFace)
+    })),
+    faces: topo.faces.map(f => inFacesTree.has(f) ? Object.assign({ id: f.id }, bounds(f)) : { id: f.id }),
+    layersSeq: topo.layersSeq,
+    layers: topo.layers.map(l => ({
+      id: l.id,
+      name: l.name,
+      type: l.type,
+      featuresSeq: l.featuresSeq,
+      features: l.features.map(f => ({
+        id: f.id,
+        nodes: f.nodes.map(ref),
+        edges: f.edges.map(ref),
+        faces: f.faces.map(ref)
+      }))
+    }))
+  }
+}
+
+/**
+ * Restores a topology serialized by {@link module:serialize.serializeTopology}.
+ *
+ * @param {Object} json Serialized topology, either as an object or as a JSON string
+ * @return {module:topo~Topo}
+ */
+export function deserializeTopology (json) {
+  if (typeof json === 'string') {
+    json = JSON.parse(json)
+  }
+
+  const topo = createTopology(json.name, json.srid, json.tolerance, { scale: json.scale })
+  topo.nodesSeq = json.nodesSeq
+  topo.edgesSeq = json.edgesSeq
+  topo.facesSeq = json.facesSeq
+
+  const faces = new Map()
+  topo.faces.length = 0
+  json.faces.forEach(f => {
+    const face = f.id === 0 ? topo.universe : { id: f.id }
+    if (f.minX !== undefined) {
+      Object.assign(face, bounds(f))
+      topo.facesTree.insert(face)
+    }
+    faces.set(face.id, face)
+    topo.faces.push(face)
+  })
+  const getFace = id => id === null ? undefined : faces.get(id)
+
+  const nodes = new Map()
+  json.nodes.forEach(n => {
+    const coordinate = n.coordinate
+    const node = {
+      id: n.id,
+      face: getFace(n.face),
+      coordinate,
+      minX: coordinate[0],
+      minY: coordinate[1],
+      maxX: coordinate[0],
+      maxY: coordinate[1]
+    }
+    nodes.set(node.id, node)
+    topo.nodesTree.insert(node)
+    topo.nodes.push(node)
+  })
+
+  const edges = new Map()
+  json.edges.forEach(e => {
+    const xs = e.coordinates.map(c => c[0])
+    const ys = e.coordinates.map(c => c[1])
+    const edge = {
+      id: e.id,
+      start: nodes.get(e.start),
+      end: nodes.get(e.end),
+      coordinates: e.coordinates,
+      nextLeftDir: e.nextLeftDir,
+      nextRightDir: e.nextRightDir,
+      leftFace: getFace(e.leftFace),
+      rightFace: getFace(e.rightFace),
+      minX: Math.min(...xs),
+      minY: Math.min(...ys),
+      maxX: Math.max(...xs),
+      maxY: Math.max(...ys)
+    }
+    edges.set(edge.id, edge)
+    topo.edgesTree.insert(edge)
+    topo.edges.push(edge)
+  })
+  json.edges.forEach(e => {
+    const edge = edges.get(e.id)
+    edge.nextLeft = edges.get(e.nextLeft)
+    edge.nextRight = edges.get(e.nextRight)
+  })
+
+  topo.layersSeq = json.layersSeq
+  json.layers.forEach(l => {
+    topo.layers.push({
+      id: l.id,
+      name: l.name,
+      type: l.type,
+      featuresSeq: l.featuresSeq,
+      features: l.features.map(f => ({
+        id: f.id,
+        layer: l.id,
+        type: l.type,
+        nodes: f.nodes.map(id => nodes.get(id)),
+        edges: f.edges.map(id => edges.get(id)),
+        faces: f.faces.map(getFace)
+      }))
+    })
+  })
+
+  rebuildIndices(topo)
+
+  return topo
+}
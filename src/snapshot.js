@@ -0,0 +1,203 @@
+/** @module */
+
+import { invalidateFaceGeometry } from './face'
+import { indexNode, unindexNode, indexEdge, unindexEdge, indexFeature, unindexFeature } from './topo'
+
+/**
+ * Recording of the changes made to a topology
+ *
+ * @typedef {Object} Recorder
+ * @private
+ */
+
+/**
+ * Changes made to a topology while recording, that can be applied in both directions with
+ * {@link module:snapshot.applyChange}
+ *
+ * @typedef {Object} Change
+ * @private
+ */
+
+const seqs = ['nodesSeq', 'edgesSeq', 'facesSeq', 'layersSeq']
+const trees = { node: 'nodesTree', edge: 'edgesTree', face: 'facesTree' }
+
+function sameProps (a, b) {
+  const keys = Object.keys(a)
+  return keys.length === Object.keys(b).length && keys.every(k => b.hasOwnProperty(k) && a[k] === b[k])
+}
+
+function getEntry (recorder, kind, o) {
+  let entry = recorder.objects.get(o)
+  if (!entry) {
+    entry = { kind, before: Object.assign({}, o), alive: true }
+    recorder.objects.set(o, entry)
+  }
+  return entry
+}
+
+/**
+ * Starts recording the changes made to a topology. The prior state of an object is captured the first time it is
+ * touched, so recording costs as much as the change and not as much as the topology. Recordings can be nested.
+ * @param {module:topo~Topo} topo
+ * @return {module:snapshot~Recorder}
+ * @private
+ */
+export function startRecording (topo) {
+  const recorder = { objects: new Map(), splices: [], seqs: {} }
+  seqs.forEach(key => (recorder.seqs[key] = topo[key]))
+  topo.recorders.push(recorder)
+  return recorder
+}
+
+/**
+ * Stops a recording started with {@link module:snapshot.startRecording}.
+ * @param {module:topo~Topo} topo
+ * @param {module:snapshot~Recorder} recorder
+ * @return {module:snapshot~Change} The change, or undefined if nothing changed
+ * @private
+ */
+export function stopRecording (topo, recorder) {
+  topo.recorders.splice(topo.recorders.indexOf(recorder), 1)
+
+  const change = {
+    objects: new Map(),
+    seqs: {},
+    splices: recorder.splices
+  }
+  let empty = recorder.splices.length === 0
+
+  recorder.objects.forEach((entry, o) => {
+    const after = entry.alive ? Object.assign({}, o) : undefined
+    if (entry.before && after ? sameProps(entry.before, after) : entry.before === after) return
+    change.objects.set(o, { kind: entry.kind, before: entry.before, after })
+    empty = false
+  })
+
+  seqs.forEach(key => {
+    if (recorder.seqs[key] !== topo[key]) {
+      change.seqs[key] = { before: recorder.seqs[key], after: topo[key] }
+      empty = false
+    }
+  })
+
+  return empty ? undefined : change
+}
+
+/**
+ * Captures the state of a node, edge, face, layer or feature before it is modified. Must be called before every
+ * modification of an object that was not added in the same operation.
+ * @param {module:topo~Topo} topo
+ * @param {string} kind One of `node`, `edge`, `face`, `layer` or `feature`
+ * @param {Object} o
+ * @private
+ */
+export function touch (topo, kind, o) {
+  topo.recorders.forEach(recorder => getEntry(recorder, kind, o))
+}
+
+/**
+ * Adds an object to one of the arrays of a topology or layer, recording the addition.
+ * @param {module:topo~Topo} topo
+ * @param {string} kind
+ * @param {Object[]} array
+ * @param {Object} o
+ * @private
+ */
+export function addElement (topo, kind, array, o) {
+  topo.recorders.forEach(recorder => {
+    getEntry(recorder, kind, o).before = undefined
+    recorder.splices.push({ kind, array, index: array.length, item: o, added: true })
+  })
+  array.push(o)
+}
+
+/**
+ * Removes an object from one of the arrays of a topology or layer, recording the removal.
+ * @param {module:topo~Topo} topo
+ * @param {string} kind
+ * @param {Object[]} array
+ * @param {Object} o
+ * @private
+ */
+export function removeElement (topo, kind, array, o) {
+  const index = array.indexOf(o)
+  topo.recorders.forEach(recorder => {
+    getEntry(recorder, kind, o).alive = false
+    recorder.splices.push({ kind, array, index, item: o, added: false })
+  })
+  array.splice(index, 1)
+}
+
+function applySplice (topo, splice, added) {
+  const { kind, array, index, item } = splice
+  topo.recorders.forEach(recorder => {
+    getEntry(recorder, kind, item).alive = added
+    recorder.splices.push({ kind, array, index, item, added })
+  })
+  if (added) {
+    array.splice(index, 0, item)
+  } else {
+    array.splice(index, 1)
+  }
+}
+
+/**
+ * Applies a change to a topology, bringing it to the state after the change or, if reverse, to the state before it.
+ * Object identities are kept, the incidence indices and spatial indices are updated and the events describing the
+ * difference are fired.
+ * @param {module:topo~Topo} topo
+ * @param {module:snapshot~Change} change
+ * @param {boolean} reverse
+ * @param {function} trigger Called with the name and object of each event
+ * @private
+ */
+export function applyChange (topo, change, reverse, trigger) {
+  const target = reverse ? 'before' : 'after'
+  const source = reverse ? 'after' : 'before'
+
+  const indexed = props => props && props.id !== 0
+  change.objects.forEach((c, o) => {
+    if (!c[source]) return
+    touch(topo, c.kind, o)
+    if (trees[c.kind] && indexed(c[source])) topo[trees[c.kind]].remove(o)
+  })
+
+  const index = { node: indexNode, edge: indexEdge, feature: indexFeature }
+  const unindex = { node: unindexNode, edge: unindexEdge, feature: unindexFeature }
+  change.objects.forEach((c, o) => c[source] && unindex[c.kind] && unindex[c.kind](topo, o))
+
+  change.objects.forEach((c, o) => {
+    const props = c[target]
+    if (!props) return
+    Object.keys(o).forEach(k => delete o[k])
+    Object.assign(o, props)
+  })
+
+  Object.keys(change.seqs).forEach(key => (topo[key] = change.seqs[key][target]))
+
+  const splices = reverse ? change.splices.slice().reverse() : change.splices
+  splices.forEach(s => applySplice(topo, s, s.added !== reverse))
+
+  change.objects.forEach((c, o) => trees[c.kind] && indexed(c[target]) && topo[trees[c.kind]].insert(o))
+
+  change.objects.forEach((c, o) => c[target] && index[c.kind] && index[c.kind](topo, o))
+
+  change.objects.forEach((c, o) => {
+    if (c.kind === 'face') {
+      invalidateFaceGeometry(o)
+    } else if (c.kind === 'edge') {
+      [c.before, c.after].filter(props => props).forEach(props => {
+        invalidateFaceGeometry(props.leftFace)
+        invalidateFaceGeometry(props.rightFace)
+      })
+    }
+  })
+
+  const events = { remove: [], add: [], mod: [] }
+  change.objects.forEach((c, o) => {
+    if (c.kind === 'layer' || c.kind === 'feature') return
+    const type = !c[target] ? 'remove' : !c[source] ? 'add' : 'mod'
+    events[type].push([type + c.kind, o])
+  })
+  events.remove.concat(events.add, events.mod).forEach(([name, o]) => trigger(name, o))
+}
@@ -2,9 +2,16 @@
 
 import rbush from 'rbush'
 
+import SpatialError from './SpatialError'
 import * as node from './node'
 import * as edge from './edge'
-import { getRingEdges, getFaceGeometry } from './face'
+import { getRingEdges, getFaceByPoint, getFaceGeometry, updateFaceGeometries } from './face'
+import * as topogeo from './topogeo'
+import { validateTopology } from './validate'
+import * as layer from './layer'
+import { createHistory } from './history'
+import { transaction } from './transaction'
+import { touch, addElement, removeElement } from './snapshot'
 
 /**
  * Topology structure
@@ -17,9 +24,18 @@ import { getRingEdges, getFaceGeometry } from './face'
  * @property {module:face~Face[]} faces
  * @property {Object} facesTree
  * @property {module:face~Face} universe
+ * @property {number} [scale] Scale of the fixed precision model, if any
+ * @property {module:layer~Layer[]} layers
+ * @property {Map} nodeEdges Incidence index from each node to the set of edges starting or ending on it
+ * @property {Map} faceEdges Incidence index from each face to the set of edges having it on either side
+ * @property {Map} faceNodes Incidence index from each face to the set of isolated nodes in it
+ * @property {Map} primitiveFeatures Index from each node, edge and face to the set of features using it
+ * @property {Object[]} recorders Recordings of changes in progress, used by the history and transactions
+ * @property {module:history~History} [history] Undo/redo history, if enabled
  * @property {function} getNodeByPoint Calls {@link module:node.getNodeByPoint} in the context of this object
  * @property {function} addIsoNode Calls {@link module:node.addIsoNode} in the context of this object
  * @property {function} removeIsoNode Calls {@link module:node.removeIsoNode} in the context of this object
+ * @property {function} moveIsoNode Calls {@link module:node.moveIsoNode} in the context of this object
  * @property {function} getEdgeByPoint Calls {@link module:edge.getEdgeByPoint} in the context of this object
  * @property {function} getEdgesByLine Calls {@link module:edge.getEdgesByLine} in the context of this object
  * @property {function} addIsoEdge Calls {@link module:edge.addIsoEdge} in the context of this object
@@ -27,20 +43,47 @@ import { getRingEdges, getFaceGeometry } from './face'
  * @property {function} addEdgeModFace Calls {@link module:edge.addEdgeModFace} in the context of this object
  * @property {function} remEdgeNewFace Calls {@link module:edge.remEdgeNewFace} in the context of this object
  * @property {function} remEdgeModFace Calls {@link module:edge.remEdgeModFace} in the context of this object
+ * @property {function} changeEdgeGeom Calls {@link module:edge.changeEdgeGeom} in the context of this object
  * @property {function} newEdgesSplit Calls {@link module:edge.newEdgesSplit} in the context of this object
  * @property {function} modEdgeSplit Calls {@link module:edge.modEdgeSplit} in the context of this object
  * @property {function} newEdgeHeal Calls {@link module:edge.newEdgeHeal} in the context of this object
+ * @property {function} modEdgeHeal Calls {@link module:edge.modEdgeHeal} in the context of this object
+ * @property {function} addPoint Calls {@link module:topogeo.addPoint} in the context of this object
+ * @property {function} addLineString Calls {@link module:topogeo.addLineString} in the context of this object
+ * @property {function} addPolygon Calls {@link module:topogeo.addPolygon} in the context of this object
  * @property {function} getRingEdges Calls {@link module:face.getRingEdges} in the context of this object
+ * @property {function} getFaceByPoint Calls {@link module:face.getFaceByPoint} in the context of this object
  * @property {function} getFaceGeometry Calls {@link module:face.getFaceGeometry} in the context of this object
+ * @property {function} addLayer Calls {@link module:layer.addLayer} in the context of this object
+ * @property {function} createTopoGeom Calls {@link module:layer.createTopoGeom} in the context of this object
+ * @property {function} getTopoGeomGeometry Calls {@link module:layer.getTopoGeomGeometry} in the context of this object
+ * @property {function} validateTopology Calls {@link module:validate.validateTopology} in the context of this object
+ * @property {function} transaction Calls {@link module:transaction.transaction} in the context of this object
  * @property {function} on Calls {@link module:topo.on} in the context of this object
+ * @property {function} once Calls {@link module:topo.once} in the context of this object
  * @property {function} un Calls {@link module:topo.un} in the context of this object
  * @fires module:topo~addface
+ * @fires module:topo~modface
  * @fires module:topo~removeface
+ * @fires module:topo~splitface
+ * @fires module:topo~mergeface
  * @fires module:topo~addedge
  * @fires module:topo~modedge
+ * @fires module:topo~splitedge
+ * @fires module:topo~healedge
  * @fires module:topo~removeedge
  * @fires module:topo~addnode
+ * @fires module:topo~modnode
  * @fires module:topo~removenode
+ * @fires module:topo~beforeaddnode
+ * @fires module:topo~beforemodnode
+ * @fires module:topo~beforeremovenode
+ * @fires module:topo~beforeaddedge
+ * @fires module:topo~beforemodedge
+ * @fires module:topo~beforeremoveedge
+ * @fires module:topo~beforesplitedge
+ * @fires module:topo~beforehealedge
+ * @fires module:topo~change
  */
 
 /**
@@ -49,12 +92,38 @@ import { getRingEdges, getFaceGeometry } from './face'
  * @type {module:face~Face}
  */
 
+/**
+ * Emitted when the extent or the rings of a face have changed.
+ * @event module:topo~modface
+ * @type {module:face~Face}
+ */
+
 /**
  * Emitted when a face has been removed from the topology.
  * @event module:topo~removeface
  * @type {module:face~Face}
  */
 
+/**
+ * Emitted when a face has been split by a new edge, before the related `addface` event. The original face is kept in
+ * the topology unless it is removed by a following `removeface` event. When split by
+ * {@link module:edge.addEdgeNewFaces} the event for the second new face lists both faces replacing the original face in
+ * `newFaces`.
+ * @event module:topo~splitface
+ * @type {Object}
+ * @property {module:face~Face} origFace
+ * @property {module:face~Face} newFace
+ * @property {module:face~Face[]} [newFaces]
+ */
+
+/**
+ * Emitted when two faces have been merged by removing an edge, before the related `removeface` events.
+ * @event module:topo~mergeface
+ * @type {Object}
+ * @property {module:face~Face[]} origFaces
+ * @property {module:face~Face} newFace Merged face, which can be one of `origFaces`
+ */
+
 /**
  * Emitted when an edge has been added to the topology.
  * @event module:topo~addedge
@@ -67,6 +136,26 @@ import { getRingEdges, getFaceGeometry } from './face'
  * @type {module:edge~Edge}
  */
 
+/**
+ * Emitted when an edge has been split. When split by {@link module:edge.modEdgeSplit} the original edge is kept and
+ * `newEdge` is the added edge, when split by {@link module:edge.newEdgesSplit} the original edge is removed and
+ * replaced by the two edges in `newEdges`.
+ * @event module:topo~splitedge
+ * @type {Object}
+ * @property {module:edge~Edge} origEdge
+ * @property {module:edge~Edge} [newEdge]
+ * @property {module:edge~Edge[]} [newEdges]
+ */
+
+/**
+ * Emitted when two edges have been healed, before the related `removenode` and `removeedge` events.
+ * @event module:topo~healedge
+ * @type {Object}
+ * @property {module:edge~Edge[]} origEdges
+ * @property {module:edge~Edge} newEdge Healed edge, which is the first of `origEdges` when healed by
+ * {@link module:edge.modEdgeHeal}
+ */
+
 /**
  * Emitted when an edge has been removed from the topology.
  * @event module:topo~removeedge
@@ -79,21 +168,113 @@ import { getRingEdges, getFaceGeometry } from './face'
  * @type {module:node~Node}
  */
 
+/**
+ * Emitted when a node has been moved or its containing face has changed.
+ * @event module:topo~modnode
+ * @type {module:node~Node}
+ */
+
 /**
  * Emitted when a node has been removed from the topology.
  * @event module:topo~removenode
  * @type {module:node~Node}
  */
 
+/**
+ * Emitted before an isolated node is added. Like all the `before` events it is delivered immediately, also in a
+ * transaction, and calling `preventDefault` vetoes the operation, which then throws a {@link SpatialError}.
+ * @event module:topo~beforeaddnode
+ * @type {Object}
+ * @property {module:coordinate~Coordinate} coordinate
+ * @property {function} preventDefault
+ */
+
+/**
+ * Emitted before an isolated node is moved.
+ * @event module:topo~beforemodnode
+ * @type {Object}
+ * @property {module:node~Node} node
+ * @property {module:coordinate~Coordinate} coordinate
+ * @property {function} preventDefault
+ */
+
+/**
+ * Emitted before an isolated node is removed.
+ * @event module:topo~beforeremovenode
+ * @type {Object}
+ * @property {module:node~Node} node
+ * @property {function} preventDefault
+ */
+
+/**
+ * Emitted before an edge is added.
+ * @event module:topo~beforeaddedge
+ * @type {Object}
+ * @property {module:node~Node} start
+ * @property {module:node~Node} end
+ * @property {module:coordinate~Coordinate[]} coordinates
+ * @property {function} preventDefault
+ */
+
+/**
+ * Emitted before the geometry of an edge is changed.
+ * @event module:topo~beforemodedge
+ * @type {Object}
+ * @property {module:edge~Edge} edge
+ * @property {module:coordinate~Coordinate[]} coordinates
+ * @property {function} preventDefault
+ */
+
+/**
+ * Emitted before an edge is removed.
+ * @event module:topo~beforeremoveedge
+ * @type {Object}
+ * @property {module:edge~Edge} edge
+ * @property {function} preventDefault
+ */
+
+/**
+ * Emitted before an edge is split.
+ * @event module:topo~beforesplitedge
+ * @type {Object}
+ * @property {module:edge~Edge} edge
+ * @property {module:coordinate~Coordinate} coordinate
+ * @property {function} preventDefault
+ */
+
+/**
+ * Emitted before two edges are healed.
+ * @event module:topo~beforehealedge
+ * @type {Object}
+ * @property {module:edge~Edge[]} edges
+ * @property {function} preventDefault
+ */
+
+/**
+ * Emitted after each call of a mutating method of the topology, or of undo and redo, with a summary of the
+ * primitives it added, modified and removed. Only collected when there are callbacks registered for it.
+ * @event module:topo~change
+ * @type {Object}
+ * @property {{nodes: module:node~Node[], edges: module:edge~Edge[], faces: module:face~Face[]}} added
+ * @property {{nodes: module:node~Node[], edges: module:edge~Edge[], faces: module:face~Face[]}} modified
+ * @property {{nodes: module:node~Node[], edges: module:edge~Edge[], faces: module:face~Face[]}} removed
+ */
+
 /**
  * Create topology.
  *
  * @param {string} name
  * @param {number} srid
- * @param {number} tolerance
+ * @param {number} tolerance Distance within which coordinates are considered coincident, used by all operations
+ * unless overridden per call
+ * @param {Object} [options]
+ * @param {boolean} [options.history] Record the changes made by the mutating methods, see {@link module:history.createHistory}
+ * @param {number} [options.historyLimit=100] Maximum number of steps kept by the history
+ * @param {number} [options.scale] Scale of a fixed precision model, for example 1000 for a grid of millimetres when
+ * working in metres. All coordinates entering the topology are rounded to the grid
  * @return {module:topo~Topo}
  */
-export function createTopology (name, srid, tolerance) {
+export function createTopology (name, srid, tolerance, options = {}) {
   const nodes = []
   const nodesTree = rbush(16)
   const edges = []
@@ -101,10 +282,15 @@ export function createTopology (name, srid, tolerance) {
   const universe = { id: 0 }
   const faces = [universe]
   const facesTree = rbush(16)
+  const operation = fn => (...args) => {
+    const call = () => collectChanges(topo, () => fn(...args))
+    return topo.history ? topo.history.group(call) : call()
+  }
   const topo = {
     name,
     srid,
     tolerance,
+    scale: options.scale,
     nodes,
     nodesSeq: 1,
     nodesTree,
@@ -115,72 +301,251 @@ export function createTopology (name, srid, tolerance) {
     facesSeq: 1,
     facesTree,
     universe,
+    layers: [],
+    layersSeq: 1,
+    nodeEdges: new Map(),
+    faceEdges: new Map(),
+    faceNodes: new Map(),
+    primitiveFeatures: new Map(),
+    recorders: [],
     getNodeByPoint: (...args) => node.getNodeByPoint(topo, ...args),
-    addIsoNode: (...args) => node.addIsoNode(topo, ...args),
-    removeIsoNode: (...args) => node.removeIsoNode(topo, ...args),
+    addIsoNode: operation((...args) => node.addIsoNode(topo, ...args)),
+    removeIsoNode: operation((...args) => node.removeIsoNode(topo, ...args)),
+    moveIsoNode: operation((...args) => node.moveIsoNode(topo, ...args)),
     getEdgeByPoint: (...args) => edge.getEdgeByPoint(topo, ...args),
     getEdgesByLine: (...args) => edge.getEdgesByLine(topo, ...args),
-    addIsoEdge: (...args) => edge.addIsoEdge(topo, ...args),
-    addEdgeNewFaces: (...args) => edge.addEdgeNewFaces(topo, ...args),
-    addEdgeModFace: (...args) => edge.addEdgeModFace(topo, ...args),
-    remEdgeNewFace: (...args) => edge.remEdgeNewFace(topo, ...args),
-    remEdgeModFace: (...args) => edge.remEdgeModFace(topo, ...args),
-    newEdgesSplit: (...args) => edge.newEdgesSplit(topo, ...args),
-    modEdgeSplit: (...args) => edge.modEdgeSplit(topo, ...args),
-    newEdgeHeal: (...args) => edge.newEdgeHeal(topo, ...args),
-    modEdgeHeal: (...args) => edge.modEdgeHeal(topo, ...args),
+    addIsoEdge: operation((...args) => edge.addIsoEdge(topo, ...args)),
+    addEdgeNewFaces: operation((...args) => edge.addEdgeNewFaces(topo, ...args)),
+    addEdgeModFace: operation((...args) => edge.addEdgeModFace(topo, ...args)),
+    remEdgeNewFace: operation((...args) => edge.remEdgeNewFace(topo, ...args)),
+    remEdgeModFace: operation((...args) => edge.remEdgeModFace(topo, ...args)),
+    changeEdgeGeom: operation((...args) => edge.changeEdgeGeom(topo, ...args)),
+    newEdgesSplit: operation((...args) => edge.newEdgesSplit(topo, ...args)),
+    modEdgeSplit: operation((...args) => edge.modEdgeSplit(topo, ...args)),
+    newEdgeHeal: operation((...args) => edge.newEdgeHeal(topo, ...args)),
+    modEdgeHeal: operation((...args) => edge.modEdgeHeal(topo, ...args)),
+    addPoint: operation((...args) => topogeo.addPoint(topo, ...args)),
+    addLineString: operation((...args) => topogeo.addLineString(topo, ...args)),
+    addPolygon: operation((...args) => topogeo.addPolygon(topo, ...args)),
     getRingEdges: (...args) => getRingEdges(topo, ...args),
+    getFaceByPoint: (...args) => getFaceByPoint(topo, ...args),
     getFaceGeometry: (...args) => getFaceGeometry(topo, ...args),
+    addLayer: operation((...args) => layer.addLayer(topo, ...args)),
+    createTopoGeom: operation((...args) => layer.createTopoGeom(topo, ...args)),
+    getTopoGeomGeometry: (...args) => layer.getTopoGeomGeometry(topo, ...args),
+    validateTopology: (...args) => validateTopology(topo, ...args),
     observers: {
       'addface': [],
       'modface': [],
       'removeface': [],
+      'splitface': [],
+      'mergeface': [],
       'addedge': [],
       'modedge': [],
       'splitedge': [],
+      'healedge': [],
       'removeedge': [],
       'addnode': [],
-      'removenode': []
+      'modnode': [],
+      'removenode': [],
+      'beforeaddnode': [],
+      'beforemodnode': [],
+      'beforeremovenode': [],
+      'beforeaddedge': [],
+      'beforemodedge': [],
+      'beforeremoveedge': [],
+      'beforesplitedge': [],
+      'beforehealedge': [],
+      'change': [],
+      '*': []
     },
+    transaction: (...args) => transaction(topo, ...args),
     on: (...args) => on(topo, ...args),
+    once: (...args) => once(topo, ...args),
     un: (...args) => un(topo, ...args)
   }
+  if (options.history) {
+    topo.history = createHistory(topo, options.historyLimit)
+  }
   return topo
 }
 
 /**
- * Registers a callback for a named event
+ * Registers a callback for a named event. Callbacks registered for `*` receive every event, with the event name as
+ * second argument.
  * @param {module:topo~Topo} topo Topology instance.
  * @param {string} name Event name.
  * @param {function} callback Callback function.
  */
 export function on (topo, name, callback) {
+  if (!topo.observers[name]) {
+    throw new Error(`unknown event ${name}`)
+  }
   topo.observers[name].push(callback)
 }
 
 /**
- * Unregisters a callback for a named event
+ * Registers a callback for a named event that is unregistered after it has been called once.
+ * @param {module:topo~Topo} topo Topology instance.
+ * @param {string} name Event name.
+ * @param {function} callback Callback function.
+ */
+export function once (topo, name, callback) {
+  const wrapper = (...args) => {
+    un(topo, name, wrapper)
+    callback(...args)
+  }
+  wrapper.callback = callback
+  on(topo, name, wrapper)
+}
+
+/**
+ * Unregisters a callback for a named event. Does nothing if the callback is not registered.
  * @param {module:topo~Topo} topo Topology instance.
  * @param {string} name Event name.
  * @param {function} callback Callback function.
  */
 export function un (topo, name, callback) {
-  const i = topo.observers[name].indexOf(callback)
-  topo.observers[name].splice(i, 1)
+  const observers = topo.observers[name] || []
+  const i = observers.findIndex(o => o === callback || o.callback === callback)
+  if (i !== -1) {
+    observers.splice(i, 1)
+  }
 }
 
 export function trigger (topo, name, e) {
-  topo.observers[name].forEach(o => o(e))
+  updateFaceGeometries(topo, name, e)
+  layer.updateFeatures(topo, name, e)
+  notify(topo, name, e)
+}
+
+function deliver (topo, name, e) {
+  topo.observers[name].slice().forEach(o => o(e))
+  topo.observers['*'].slice().forEach(o => o(e, name))
+}
+
+/**
+ * Delivers an event to the registered callbacks, or queues it while in a transaction.
+ * @param {module:topo~Topo} topo Topology instance.
+ * @param {string} name Event name.
+ * @param {Object} e Event object.
+ * @private
+ */
+export function notify (topo, name, e) {
+  if (topo.changeSet) {
+    recordChange(topo.changeSet, name, e)
+  }
+  if (topo.deferredEvents) {
+    topo.deferredEvents.push([name, e])
+    return
+  }
+  deliver(topo, name, e)
+}
+
+/**
+ * Delivers a cancellable event immediately, also in a transaction. The event object is extended with a
+ * `preventDefault` function which a callback can call to veto the operation.
+ * @param {module:topo~Topo} topo Topology instance.
+ * @param {string} name Event name.
+ * @param {Object} e Event object.
+ * @throws {SpatialError} If a callback prevented the operation
+ * @private
+ */
+export function triggerBefore (topo, name, e) {
+  let prevented = false
+  const event = Object.assign({}, e, { preventDefault: () => (prevented = true) })
+  deliver(topo, name, event)
+  if (prevented) {
+    throw new SpatialError(`${name} prevented`)
+  }
+}
+
+function recordChange (changeSet, name, e) {
+  const match = /^(add|mod|remove)(node|edge|face)$/.exec(name)
+  if (!match) return
+  const [, type, kind] = match
+  const { added, modified, removed } = changeSet
+  const key = kind + 's'
+  if (type === 'add') {
+    added[key].add(e)
+  } else if (type === 'mod') {
+    if (!added[key].has(e)) modified[key].add(e)
+  } else if (added[key].has(e)) {
+    added[key].delete(e)
+    modified[key].delete(e)
+  } else {
+    modified[key].delete(e)
+    removed[key].add(e)
+  }
+}
+
+/**
+ * Calls a function collecting the primitives it adds, modifies and removes, and fires a `change` event summarising
+ * them when done. Nothing is collected when there are no `change` callbacks or when already collecting.
+ * @param {module:topo~Topo} topo Topology instance.
+ * @param {function} fn
+ * @return {*} Result of fn
+ * @private
+ */
+export function collectChanges (topo, fn) {
+  if (topo.changeSet || topo.observers.change.length === 0) {
+    return fn()
+  }
+  const sets = () => ({ nodes: new Set(), edges: new Set(), faces: new Set() })
+  const changeSet = { added: sets(), modified: sets(), removed: sets() }
+  topo.changeSet = changeSet
+  let result
+  try {
+    result = fn()
+  } finally {
+    delete topo.changeSet
+  }
+  const e = {}
+  let empty = true
+  Object.keys(changeSet).forEach(type => {
+    e[type] = {}
+    Object.keys(changeSet[type]).forEach(key => {
+      e[type][key] = Array.from(changeSet[type][key])
+      empty = empty && e[type][key].length === 0
+    })
+  })
+  if (!empty) {
+    notify(topo, 'change', e)
+  }
+  return result
+}
+
+/**
+ * Resolves the tolerance to use for an operation, defaulting to the topology tolerance.
+ * @param {module:topo~Topo} topo Topology instance.
+ * @param {number} [tolerance] Per call override
+ * @return {number}
+ * @private
+ */
+export function resolveTolerance (topo, tolerance) {
+  return tolerance === undefined ? topo.tolerance || 0 : tolerance
 }
 
 export function insertFace (topo, face) {
   const { faces } = topo
   face.id = topo.facesSeq++
-  faces.push(face)
+  addElement(topo, 'face', faces, face)
 }
 
+/**
+ * Updates the bounds of a face from its shell and reinserts it in the spatial index. The universe face has no bounds
+ * and is never indexed.
+ * @param {module:topo~Topo} topo
+ * @param {module:face~Face} face
+ * @private
+ */
 export function updateFaceTree (topo, face) {
-  const { facesTree } = topo
+  const { facesTree, universe } = topo
+  facesTree.remove(face)
+  if (face === universe) {
+    return
+  }
+  touch(topo, 'face', face)
   const coordinates = getFaceGeometry(topo, face)
   const xs = coordinates[0].map(c => c[0])
   const ys = coordinates[0].map(c => c[1])
@@ -194,8 +559,7 @@ export function updateFaceTree (topo, face) {
 export function deleteFace (topo, face) {
   const { faces, facesTree } = topo
   facesTree.remove(face)
-  // delete faces[faces.indexOf(face)]
-  faces.splice(faces.indexOf(face), 1)
+  removeElement(topo, 'face', faces, face)
 }
 
 export function insertEdge (topo, edge) {
@@ -208,14 +572,15 @@ export function insertEdge (topo, edge) {
   edge.maxX = Math.max(...xs)
   edge.maxY = Math.max(...ys)
   edgesTree.insert(edge)
-  edges.push(edge)
+  addElement(topo, 'edge', edges, edge)
+  indexEdge(topo, edge)
 }
 
 export function deleteEdge (topo, edge) {
   const { edges, edgesTree } = topo
   edgesTree.remove(edge)
-  // delete edges[edges.indexOf(edge)]
-  edges.splice(edges.indexOf(edge), 1)
+  removeElement(topo, 'edge', edges, edge)
+  unindexEdge(topo, edge)
 }
 
 export function insertNode (topo, node) {
@@ -230,12 +595,189 @@ export function insertNode (topo, node) {
   node.maxY = coordinate[1]
 
   nodesTree.insert(node)
-  nodes.push(node)
+  addElement(topo, 'node', nodes, node)
+  indexNode(topo, node)
 }
 
 export function deleteNode (topo, node) {
   const { nodes, nodesTree } = topo
   nodesTree.remove(node)
-  // delete nodes[nodes.indexOf(node)]
-  nodes.splice(nodes.indexOf(node), 1)
+  removeElement(topo, 'node', nodes, node)
+  unindexNode(topo, node)
+}
+
+function addToIndex (index, key, value) {
+  const values = index.get(key)
+  if (values) {
+    values.add(value)
+  } else {
+    index.set(key, new Set([value]))
+  }
+}
+
+function removeFromIndex (index, key, value) {
+  const values = index.get(key)
+  if (values) {
+    values.delete(value)
+    if (values.size === 0) index.delete(key)
+  }
+}
+
+/**
+ * Adds an edge to the incidence indices, under its current nodes and faces.
+ * @param {module:topo~Topo} topo
+ * @param {module:edge~Edge} edge
+ * @private
+ */
+export function indexEdge (topo, edge) {
+  addToIndex(topo.nodeEdges, edge.start, edge)
+  addToIndex(topo.nodeEdges, edge.end, edge)
+  addToIndex(topo.faceEdges, edge.leftFace, edge)
+  addToIndex(topo.faceEdges, edge.rightFace, edge)
+}
+
+/**
+ * Removes an edge from the incidence indices, under its current nodes and faces.
+ * @param {module:topo~Topo} topo
+ * @param {module:edge~Edge} edge
+ * @private
+ */
+export function unindexEdge (topo, edge) {
+  removeFromIndex(topo.nodeEdges, edge.start, edge)
+  removeFromIndex(topo.nodeEdges, edge.end, edge)
+  removeFromIndex(topo.faceEdges, edge.leftFace, edge)
+  removeFromIndex(topo.faceEdges, edge.rightFace, edge)
+}
+
+/**
+ * Adds a node to the incidence indices if it is isolated.
+ * @param {module:topo~Topo} topo
+ * @param {module:node~Node} node
+ * @private
+ */
+export function indexNode (topo, node) {
+  if (node.face) addToIndex(topo.faceNodes, node.face, node)
+}
+
+/**
+ * Removes a node from the incidence indices.
+ * @param {module:topo~Topo} topo
+ * @param {module:node~Node} node
+ * @private
+ */
+export function unindexNode (topo, node) {
+  if (node.face) removeFromIndex(topo.faceNodes, node.face, node)
+}
+
+/**
+ * Adds a feature to the index of features by primitive, under its current nodes, edges and faces.
+ * @param {module:topo~Topo} topo
+ * @param {module:layer~TopoGeometry} feature
+ * @private
+ */
+export function indexFeature (topo, feature) {
+  feature.nodes.concat(feature.edges, feature.faces).forEach(p => addToIndex(topo.primitiveFeatures, p, feature))
+}
+
+/**
+ * Removes a feature from the index of features by primitive, under its current nodes, edges and faces.
+ * @param {module:topo~Topo} topo
+ * @param {module:layer~TopoGeometry} feature
+ * @private
+ */
+export function unindexFeature (topo, feature) {
+  feature.nodes.concat(feature.edges, feature.faces).forEach(p => removeFromIndex(topo.primitiveFeatures, p, feature))
+}
+
+/**
+ * Assigns properties to an edge in the topology keeping the incidence indices up to date. Any change of the nodes or
+ * faces of an edge must be made through this function.
+ * @param {module:topo~Topo} topo
+ * @param {module:edge~Edge} edge
+ * @param {Object} props
+ * @private
+ */
+export function updateEdge (topo, edge, props) {
+  touch(topo, 'edge', edge)
+  unindexEdge(topo, edge)
+  Object.assign(edge, props)
+  indexEdge(topo, edge)
+}
+
+/**
+ * Sets the containing face of a node in the topology keeping the incidence indices up to date.
+ * @param {module:topo~Topo} topo
+ * @param {module:node~Node} node
+ * @param {module:face~Face} [face] The containing face, or undefined if the node is no longer isolated
+ * @private
+ */
+export function setNodeFace (topo, node, face) {
+  touch(topo, 'node', node)
+  unindexNode(topo, node)
+  if (face) {
+    node.face = face
+  } else {
+    delete node.face
+  }
+  indexNode(topo, node)
+}
+
+/**
+ * Rebuilds the incidence indices from the nodes and edges of the topology and the index of features by primitive
+ * from its layers.
+ * @param {module:topo~Topo} topo
+ * @private
+ */
+export function rebuildIndices (topo) {
+  topo.nodeEdges.clear()
+  topo.faceEdges.clear()
+  topo.faceNodes.clear()
+  topo.primitiveFeatures.clear()
+  topo.nodes.forEach(n => indexNode(topo, n))
+  topo.edges.forEach(e => indexEdge(topo, e))
+  topo.layers.forEach(l => l.features.forEach(f => indexFeature(topo, f)))
+}
+
+/**
+ * Returns the edges starting or ending on a node.
+ * @param {module:topo~Topo} topo
+ * @param {module:node~Node} node
+ * @return {module:edge~Edge[]}
+ * @private
+ */
+export function getEdgesByNode (topo, node) {
+  return Array.from(topo.nodeEdges.get(node) || [])
+}
+
+/**
+ * Returns the edges having a face on either side.
+ * @param {module:topo~Topo} topo
+ * @param {module:face~Face} face
+ * @return {module:edge~Edge[]}
+ * @private
+ */
+export function getEdgesByFace (topo, face) {
+  return Array.from(topo.faceEdges.get(face) || [])
+}
+
+/**
+ * Returns the isolated nodes in a face.
+ * @param {module:topo~Topo} topo
+ * @param {module:face~Face} face
+ * @return {module:node~Node[]}
+ * @private
+ */
+export function getNodesByFace (topo, face) {
+  return Array.from(topo.faceNodes.get(face) || [])
+}
+
+/**
+ * Returns the features using a node, edge or face.
+ * @param {module:topo~Topo} topo
+ * @param {module:node~Node|module:edge~Edge|module:face~Face} primitive
+ * @return {module:layer~TopoGeometry[]}
+ * @private
+ */
+export function getFeaturesByPrimitive (topo, primitive) {
+  return Array.from(topo.primitiveFeatures.get(primitive) || [])
 }
@@ -0,0 +1,219 @@
+/** @module */
+
+import {
+  minTolerance,
+  makePrecise,
+  closestPoint,
+  distance,
+  pointDistance,
+  equals,
+  split,
+  removeRepeatedPoints,
+  nodeLine,
+  intersectionPoints,
+  pointInPoly,
+  pointOnSurface
+} from './utils'
+import { resolveTolerance } from './topo'
+import { addIsoNode, getNodeByPoint } from './node'
+import { getEdgeByPoint, getEdgesByLine, modEdgeSplit, addEdgeModFace } from './edge'
+import { getFaceGeometry } from './face'
+
+/**
+ * Resolve the tolerance to use for an operation. Defaults to the topology tolerance and falls back to the smallest
+ * tolerance meaningful for the magnitude of the input coordinates. With a precision model the tolerance is at least
+ * the grid size, as points computed on the input are moved by up to that distance when rounded to the grid.
+ *
+ * @param {module:topo~Topo} topo
+ * @param {module:coordinate~Coordinate[]} coordinates
+ * @param {number} [tolerance]
+ * @return {number}
+ * @private
+ */
+function getTolerance (topo, coordinates, tolerance) {
+  const tol = resolveTolerance(topo, tolerance) || minTolerance(coordinates)
+  return topo.scale ? Math.max(tol, 1 / topo.scale) : tol
+}
+
+function getBounds (coordinates, tol) {
+  const xs = coordinates.map(c => c[0])
+  const ys = coordinates.map(c => c[1])
+  return {
+    minX: Math.min(...xs) - tol,
+    minY: Math.min(...ys) - tol,
+    maxX: Math.max(...xs) + tol,
+    maxY: Math.max(...ys) + tol
+  }
+}
+
+/**
+ * Snap a coordinate to the closest node within tolerance, or else to the closest point on an edge within tolerance.
+ * @private
+ */
+function snap (topo, coordinate, tol) {
+  const node = getNodeByPoint(topo, coordinate, tol)
+  if (node) {
+    return node.coordinate
+  }
+  const edges = getEdgeByPoint(topo, coordinate, tol)
+    .map(e => ({ e, d: distance(coordinate, e.coordinates) }))
+    .sort((a, b) => a.d - b.d)
+  if (edges.length > 0) {
+    return closestPoint(coordinate, edges[0].e.coordinates)
+  }
+  return coordinate
+}
+
+/**
+ * Cut lines where they pass within tolerance of a coordinate, making the coordinate an exact vertex of the parts.
+ * @private
+ */
+function cutLines (lines, c, tol) {
+  const cut = []
+  lines.forEach(line => {
+    if (distance(c, line) > tol) {
+      cut.push(line)
+      return
+    }
+    line = line.slice()
+    if (pointDistance(line[0], c) <= tol) line[0] = c
+    if (pointDistance(line[line.length - 1], c) <= tol) line[line.length - 1] = c
+    const parts = split(line, c).map(removeRepeatedPoints)
+    if (parts.some(part => part.length < 2)) {
+      // closest to one of the line ends
+      cut.push(line)
+      return
+    }
+    parts[0][parts[0].length - 1] = c
+    parts[1][0] = c
+    cut.push(...cutLines(parts, c, tol))
+  })
+  return cut
+}
+
+function isSameLine (cs1, cs2, tol) {
+  return cs1.every(c => distance(c, cs2) <= tol) && cs2.every(c => distance(c, cs1) <= tol)
+}
+
+/**
+ * Adds a point to the topology, snapping to existing nodes or edges within the tolerance, and returns the node
+ * representing it. If a node exists within the tolerance the closest one is returned, otherwise if an edge exists
+ * within the tolerance it is split at the point on it closest to the input, otherwise a new isolated node is added.
+ *
+ * @param {module:topo~Topo} topo
+ * @param {module:coordinate~Coordinate} coordinate
+ * @param {number} [tolerance] Defaults to the topology tolerance
+ * @return {module:node~Node}
+ */
+export function addPoint (topo, coordinate, tolerance) {
+  const tol = getTolerance(topo, [coordinate], tolerance)
+
+  coordinate = makePrecise(coordinate, topo.scale)
+
+  const node = getNodeByPoint(topo, coordinate, tol)
+
+  if (node) {
+    return node
+  }
+
+  const edges = getEdgeByPoint(topo, coordinate, tol)
+    .map(e => ({ e, d: distance(coordinate, e.coordinates) }))
+    .sort((a, b) => a.d - b.d)
+
+  if (edges.length > 0) {
+    const edge = edges[0].e
+    return modEdgeSplit(topo, edge, closestPoint(coordinate, edge.coordinates))
+  }
+
+  return addIsoNode(topo, coordinate, tol)
+}
+
+/**
+ * Adds a linestring to the topology, snapping it to existing nodes and edges within the tolerance and noding it
+ * against itself and the existing edges, and returns the edges that make up the linestring. Existing edges crossed
+ * or touched by the linestring are split and pieces of the linestring that already exist as edges are reused.
+ *
+ * @param {module:topo~Topo} topo
+ * @param {module:coordinate~Coordinate[]} coordinates
+ * @param {number} [tolerance] Defaults to the topology tolerance
+ * @return {module:edge~Edge[]}
+ */
+export function addLineString (topo, coordinates, tolerance) {
+  const tol = getTolerance(topo, coordinates, tolerance)
+
+  const cs = removeRepeatedPoints(coordinates.map(c => snap(topo, makePrecise(c, topo.scale), tol)))
+
+  if (cs.length < 2) {
+    return []
+  }
+
+  const parts = nodeLine(cs)
+
+  const points = []
+  parts.forEach(part => points.push(part[0], part[part.length - 1]))
+  getEdgesByLine(topo, cs).forEach(e => points.push(...intersectionPoints(cs, e.coordinates)))
+  topo.nodesTree.search(getBounds(cs, tol))
+    .filter(n => distance(n.coordinate, cs) <= tol)
+    .forEach(n => points.push(n.coordinate))
+
+  const nodes = points
+    .map(c => addPoint(topo, c, tol))
+    .filter((n, i, nodes) => nodes.indexOf(n) === i)
+
+  let lines = parts
+  nodes.forEach(n => {
+    lines = cutLines(lines, n.coordinate, tol)
+  })
+
+  const nodeAt = c => nodes.find(n => equals(n.coordinate, c))
+
+  const edges = []
+
+  lines.forEach(line => {
+    const start = nodeAt(line[0])
+    const end = nodeAt(line[line.length - 1])
+
+    if (!start || !end) {
+      throw new Error('addLineString: line part not ending on a node')
+    }
+
+    const existing = topo.edgesTree.search(getBounds(line, tol))
+      .filter(e => (e.start === start && e.end === end) || (e.start === end && e.end === start))
+      .find(e => isSameLine(e.coordinates, line, tol))
+
+    // the line is already snapped and noded, so it is added exactly
+    const edge = existing || addEdgeModFace(topo, start, end, line, 0)
+
+    if (edges.indexOf(edge) === -1) {
+      edges.push(edge)
+    }
+  })
+
+  return edges
+}
+
+/**
+ * Adds a polygon to the topology, inserting the boundary of each ring as with {@link module:topogeo.addLineString},
+ * and returns the faces whose union equals the polygon.
+ *
+ * @param {module:topo~Topo} topo
+ * @param {module:coordinate~Coordinate[][]} rings Exterior ring followed by any interior rings
+ * @param {number} [tolerance] Defaults to the topology tolerance
+ * @return {module:face~Face[]}
+ */
+export function addPolygon (topo, rings, tolerance) {
+  const tol = getTolerance(topo, rings.reduce((a, b) => a.concat(b), []), tolerance)
+
+  rings.forEach(ring => addLineString(topo, ring, tol))
+
+  const [shell, ...holes] = rings
+
+  return topo.facesTree.search(getBounds(shell, tol)).filter(face => {
+    const geometry = getFaceGeometry(topo, face)
+    if (geometry.length === 0) {
+      return false
+    }
+    const c = pointOnSurface(geometry)
+    return pointInPoly(c, shell) && !holes.some(hole => pointInPoly(c, hole))
+  })
+}
@@ -0,0 +1,247 @@
+/** @module */
+
+import rbush from 'rbush'
+
+import SpatialError from './SpatialError'
+import { createTopology } from './topo'
+import { addIsoNode, getNodeByPoint } from './node'
+import { addEdgeModFace } from './edge'
+import { getFaceRings, getRingCoordinates } from './face'
+import { signedArea, isSimple, relate, distance, equals } from './utils'
+
+function getBbox (coordinates) {
+  if (coordinates.length === 0) {
+    return
+  }
+  const xs = coordinates.map(c => c[0])
+  const ys = coordinates.map(c => c[1])
+  return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)]
+}
+
+function createQuantizer (bbox, n) {
+  const [x0, y0, x1, y1] = bbox
+  const kx = x1 - x0 ? (x1 - x0) / (n - 1) : 1
+  const ky = y1 - y0 ? (y1 - y0) / (n - 1) : 1
+  const quantize = c => [Math.round((c[0] - x0) / kx), Math.round((c[1] - y0) / ky)]
+  quantize.transform = {
+    scale: [kx, ky],
+    translate: [x0, y0]
+  }
+  return quantize
+}
+
+function quantizeArc (coordinates, quantize) {
+  const arc = []
+  coordinates.map(quantize).forEach(c => {
+    const last = arc[arc.length - 1]
+    if (!last || last[0] !== c[0] || last[1] !== c[1]) {
+      arc.push(c)
+    }
+  })
+  if (arc.length < 2) {
+    arc.push(arc[0].slice())
+  }
+  return arc
+}
+
+function deltaEncode (arc) {
+  return arc.map((c, i) => i === 0 ? c : [c[0] - arc[i - 1][0], c[1] - arc[i - 1][1]])
+}
+
+/**
+ * Converts a topology to a TopoJSON Topology object.
+ *
+ * Each edge becomes an arc with the same index as the edge has in `topo.edges`. Faces become Polygons in the
+ * `faces` object, referencing arcs in the order met by walking their rings with the face on the left side, so that
+ * exterior rings are counter-clockwise and interior rings clockwise. The exterior ring comes first. Isolated nodes
+ * become Points in the `nodes` object. Faces and nodes keep their IDs.
+ *
+ * @param {module:topo~Topo} topo
+ * @param {Object} [options]
+ * @param {number} [options.quantization] If given, quantize coordinates to this number of distinct values in each
+ * dimension. Quantized arcs are delta encoded.
+ * @return {Object} TopoJSON Topology object
+ */
+export function toTopoJSON (topo, options = {}) {
+  const { edges, faces, nodes, universe } = topo
+
+  const arcIndex = new Map(edges.map((e, i) => [e, i]))
+
+  const polygons = faces
+    .filter(face => face !== universe)
+    .map(face => {
+      const rings = getFaceRings(topo, face)
+        .map(ring => ({
+          arcs: ring.map(he => he.dir ? arcIndex.get(he.edge) : ~arcIndex.get(he.edge)),
+          isShell: signedArea(getRingCoordinates(ring)) < 0
+        }))
+      return {
+        type: 'Polygon',
+        id: face.id,
+        arcs: rings.filter(r => r.isShell).concat(rings.filter(r => !r.isShell)).map(r => r.arcs)
+      }
+    })
+    .filter(polygon => polygon.arcs.length > 0)
+
+  const isolatedNodes = nodes.filter(n => n.face)
+
+  const bbox = getBbox(edges.reduce((cs, e) => cs.concat(e.coordinates), isolatedNodes.map(n => n.coordinate)))
+
+  const topology = {
+    type: 'Topology',
+    objects: {
+      faces: {
+        type: 'GeometryCollection',
+        geometries: polygons
+      },
+      nodes: {
+        type: 'GeometryCollection',
+        geometries: isolatedNodes.map(n => ({ type: 'Point', id: n.id, coordinates: n.coordinate.slice() }))
+      }
+    },
+    arcs: edges.map(e => e.coordinates.map(c => c.slice()))
+  }
+
+  if (bbox) {
+    topology.bbox = bbox
+  }
+
+  if (bbox && options.quantization) {
+    const quantize = createQuantizer(bbox, options.quantization)
+    topology.transform = quantize.transform
+    topology.arcs = edges.map(e => deltaEncode(quantizeArc(e.coordinates, quantize)))
+    topology.objects.nodes.geometries.forEach(p => (p.coordinates = quantize(p.coordinates)))
+  }
+
+  return topology
+}
+
+function createDecoder (transform) {
+  if (!transform) {
+    return c => c.slice(0, 2)
+  }
+  const { scale: [kx, ky], translate: [dx, dy] } = transform
+  return c => [c[0] * kx + dx, c[1] * ky + dy]
+}
+
+function decodeArc (arc, transform) {
+  if (!transform) {
+    return arc.map(c => c.slice(0, 2))
+  }
+  const decode = createDecoder(transform)
+  let x = 0
+  let y = 0
+  return arc.map(c => decode([(x += c[0]), (y += c[1])]))
+}
+
+function getPoints (geometry, decode) {
+  switch (geometry.type) {
+    case 'GeometryCollection':
+      return geometry.geometries.reduce((points, g) => points.concat(getPoints(g, decode)), [])
+    case 'Point':
+      return [decode(geometry.coordinates)]
+    case 'MultiPoint':
+      return geometry.coordinates.map(decode)
+    default:
+      return []
+  }
+}
+
+function checkArcs (arcs) {
+  const items = arcs.map((coordinates, i) => {
+    if (coordinates.length < 2 || coordinates.every(c => equals(c, coordinates[0]))) {
+      throw new SpatialError(`arc ${i} has less than two distinct points`)
+    }
+    if (!isSimple(coordinates)) {
+      throw new SpatialError(`arc ${i} is not simple`)
+    }
+    const xs = coordinates.map(c => c[0])
+    const ys = coordinates.map(c => c[1])
+    return {
+      i,
+      coordinates,
+      minX: Math.min(...xs),
+      minY: Math.min(...ys),
+      maxX: Math.max(...xs),
+      maxY: Math.max(...ys)
+    }
+  })
+
+  const tree = rbush(16)
+  tree.load(items)
+
+  items.forEach(a => {
+    tree.search(a).forEach(b => {
+      if (b.i <= a.i) {
+        return
+      }
+      const im = relate(a.coordinates, b.coordinates)
+      if (im.matches('1FFF*FFF2')) {
+        throw new SpatialError(`arc ${a.i} is coincident with arc ${b.i}`)
+      }
+      if (im.matches('1********')) {
+        throw new SpatialError(`arc ${a.i} overlaps arc ${b.i}`)
+      }
+      if (im.matches('T********')) {
+        throw new SpatialError(`arc ${a.i} crosses arc ${b.i}`)
+      }
+    })
+    const ends = [a.coordinates[0], a.coordinates[a.coordinates.length - 1]]
+    ends.forEach(c => {
+      tree.search({ minX: c[0], minY: c[1], maxX: c[0], maxY: c[1] }).forEach(b => {
+        if (b === a || equals(c, b.coordinates[0]) || equals(c, b.coordinates[b.coordinates.length - 1])) {
+          return
+        }
+        if (distance(c, b.coordinates) === 0) {
+          throw new SpatialError(`arc ${a.i} ends in the interior of arc ${b.i}`)
+        }
+      })
+    })
+  })
+
+  return tree
+}
+
+/**
+ * Creates a topology from a TopoJSON Topology object.
+ *
+ * Each arc becomes an edge, so that the edge with ID `i + 1` represents arc `i`, and each distinct arc end point
+ * becomes a node. Faces are created as the arcs close rings. Points in the objects that are not arc end points
+ * become isolated nodes.
+ *
+ * @param {Object} topology TopoJSON Topology object
+ * @param {string} name
+ * @param {number} srid
+ * @param {number} tolerance
+ * @return {module:topo~Topo}
+ * @throws {SpatialError} If the arcs are not a valid planar topology
+ */
+export function fromTopoJSON (topology, name, srid, tolerance) {
+  const arcs = topology.arcs.map(arc => decodeArc(arc, topology.transform))
+  const tree = checkArcs(arcs)
+
+  const decode = createDecoder(topology.transform)
+  const points = Object.keys(topology.objects || {})
+    .reduce((points, key) => points.concat(getPoints(topology.objects[key], decode)), [])
+
+  points.forEach(c => {
+    tree.search({ minX: c[0], minY: c[1], maxX: c[0], maxY: c[1] }).forEach(a => {
+      const cs = a.coordinates
+      if (!equals(c, cs[0]) && !equals(c, cs[cs.length - 1]) && distance(c, cs) === 0) {
+        throw new SpatialError(`point ${c[0]} ${c[1]} is in the interior of arc ${a.i}`)
+      }
+    })
+  })
+
+  const topo = createTopology(name, srid, tolerance)
+
+  const getNode = c => getNodeByPoint(topo, c) || addIsoNode(topo, c)
+
+  const ends = arcs.map(cs => [getNode(cs[0]), getNode(cs[cs.length - 1])])
+
+  arcs.forEach((cs, i) => addEdgeModFace(topo, ends[i][0], ends[i][1], cs))
+
+  points.forEach(getNode)
+
+  return topo
+}
@@ -9,3 +9,32 @@ export {
    */
   createTopology
 } from './topo'
+
+export {
+  /**
+   * @type {module:topojson.toTopoJSON}
+   */
+  toTopoJSON,
+  /**
+   * @type {module:topojson.fromTopoJSON}
+   */
+  fromTopoJSON
+} from './topojson'
+
+export {
+  /**
+   * @type {module:serialize.serializeTopology}
+   */
+  serializeTopology,
+  /**
+   * @type {module:serialize.deserializeTopology}
+   */
+  deserializeTopology
+} from './serialize'
+
+export {
+  /**
+   * @type {module:validate.validateTopology}
+   */
+  validateTopology
+} from './validate'
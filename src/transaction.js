@@ -0,0 +1,49 @@
+/** @module */
+
+import { startRecording, stopRecording, applyChange } from './snapshot'
+import { notify } from './topo'
+
+/**
+ * Runs a function as an atomic batch of operations on a topology and returns its result.
+ *
+ * If the function throws, every change it made is rolled back, including the spatial indices and the ID sequences,
+ * and the error is rethrown. Events are delivered when the outermost transaction commits, events of rolled back
+ * operations are never delivered. A nested transaction that throws only rolls back its own changes. With history
+ * enabled a committed transaction is recorded as a single step.
+ *
+ * @param {module:topo~Topo} topo
+ * @param {function} fn
+ * @return {*} Result of fn
+ */
+export function transaction (topo, fn) {
+  const run = () => {
+    const outer = !topo.deferredEvents
+    if (outer) {
+      topo.deferredEvents = []
+    }
+    const events = topo.deferredEvents
+    const mark = events.length
+    const recorder = startRecording(topo)
+    let result
+    try {
+      result = fn()
+    } catch (e) {
+      const change = stopRecording(topo, recorder)
+      if (change) {
+        applyChange(topo, change, true, () => {})
+      }
+      events.length = mark
+      throw e
+    } finally {
+      if (outer) {
+        delete topo.deferredEvents
+      }
+    }
+    stopRecording(topo, recorder)
+    if (outer) {
+      events.forEach(([name, e]) => notify(topo, name, e))
+    }
+    return result
+  }
+  return topo.history ? topo.history.group(run) : run()
+}
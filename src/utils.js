@@ -1,17 +1,39 @@
 import Coordinate from 'jsts/org/locationtech/jts/geom/Coordinate'
 import GeometryFactory from 'jsts/org/locationtech/jts/geom/GeometryFactory'
+import PrecisionModel from 'jsts/org/locationtech/jts/geom/PrecisionModel'
 import IsSimpleOp from 'jsts/org/locationtech/jts/operation/IsSimpleOp'
 import RelateOp from 'jsts/org/locationtech/jts/operation/relate/RelateOp'
 import DistanceOp from 'jsts/org/locationtech/jts/operation/distance/DistanceOp'
-import Polygonizer from 'jsts/org/locationtech/jts/operation/polygonize/Polygonizer'
 import BoundaryNodeRule from 'jsts/org/locationtech/jts/algorithm/BoundaryNodeRule'
 import LengthIndexedLine from 'jsts/org/locationtech/jts/linearref/LengthIndexedLine'
+import OverlayOp from 'jsts/org/locationtech/jts/operation/overlay/OverlayOp'
+import UnaryUnionOp from 'jsts/org/locationtech/jts/operation/union/UnaryUnionOp'
+import InteriorPointArea from 'jsts/org/locationtech/jts/algorithm/InteriorPointArea'
+import CGAlgorithmsDD from 'jsts/org/locationtech/jts/algorithm/CGAlgorithmsDD'
+import DD from 'jsts/org/locationtech/jts/math/DD'
 
 const factory = new GeometryFactory()
 const isSimpleOp = new IsSimpleOp()
 
-function toLineString (coordinates) {
-  return factory.createLineString(coordinates.map(c => new Coordinate(c[0], c[1])))
+const factories = new Map()
+
+/**
+ * Geometry factory with a fixed precision model of the given scale, or floating precision if no scale is given.
+ * @param {number} [scale]
+ * @return {GeometryFactory}
+ */
+function getFactory (scale) {
+  if (!scale) {
+    return factory
+  }
+  if (!factories.has(scale)) {
+    factories.set(scale, new GeometryFactory(new PrecisionModel(scale)))
+  }
+  return factories.get(scale)
+}
+
+function toLineString (coordinates, scale) {
+  return getFactory(scale).createLineString(coordinates.map(c => new Coordinate(c[0], c[1])))
 }
 
 function toCoordinate (c) {
@@ -22,23 +44,45 @@ function toPoint (c) {
   return factory.createPoint(new Coordinate(c[0], c[1]))
 }
 
-function polyToCoordss (poly) {
-  const cs = lineStringToCoords(poly.getExteriorRing())
-  return [cs]
+function toPolygon (css) {
+  const rings = css.map(cs => factory.createLinearRing(cs.map(toCoordinate)))
+  return factory.createPolygon(rings[0], rings.slice(1))
+}
+
+function polygonToCoordss (poly) {
+  const css = [lineStringToCoords(poly.getExteriorRing())]
+  for (let i = 0; i < poly.getNumInteriorRing(); i++) {
+    css.push(lineStringToCoords(poly.getInteriorRingN(i)))
+  }
+  return css
 }
 
 function lineStringToCoords (ls) {
   return ls.getCoordinates().map(c => [c.x, c.y])
 }
 
-export function isSimple (coordinates) {
-  const lineString = toLineString(coordinates)
+/**
+ * Rounds a coordinate to the grid of a fixed precision model.
+ * @param {module:coordinate~Coordinate} c
+ * @param {number} [scale] Precision model scale, the coordinate is returned unchanged if not given
+ * @return {module:coordinate~Coordinate}
+ */
+export function makePrecise (c, scale) {
+  if (!scale) {
+    return c
+  }
+  const pm = getFactory(scale).getPrecisionModel()
+  return [pm.makePrecise(c[0]), pm.makePrecise(c[1])]
+}
+
+export function isSimple (coordinates, scale) {
+  const lineString = toLineString(coordinates, scale)
   return isSimpleOp.isSimpleLinearGeometry(lineString)
 }
 
-export function relate (cs1, cs2) {
-  const ls1 = toLineString(cs1)
-  const ls2 = toLineString(cs2)
+export function relate (cs1, cs2, scale) {
+  const ls1 = toLineString(cs1, scale)
+  const ls2 = toLineString(cs2, scale)
   return RelateOp.relate(ls1, ls2, BoundaryNodeRule.ENDPOINT_BOUNDARY_RULE)
 }
 
@@ -48,80 +92,194 @@ export function intersects (cs1, cs2) {
   return RelateOp.intersects(ls1, ls2)
 }
 
+/**
+ * Node a line at its self intersections.
+ * @param {module:coordinate~Coordinate[]} cs
+ * @return {module:coordinate~Coordinate[][]} The noded parts
+ */
+export function nodeLine (cs) {
+  const noded = UnaryUnionOp.union(toLineString(cs))
+  const parts = []
+  for (let i = 0; i < noded.getNumGeometries(); i++) {
+    parts.push(lineStringToCoords(noded.getGeometryN(i)))
+  }
+  return parts
+}
+
+/**
+ * Points where two lines intersect. Where the lines overlap the end points of the overlap are returned.
+ * @param {module:coordinate~Coordinate[]} cs1
+ * @param {module:coordinate~Coordinate[]} cs2
+ * @return {module:coordinate~Coordinate[]}
+ */
+export function intersectionPoints (cs1, cs2) {
+  const intersection = OverlayOp.intersection(toLineString(cs1), toLineString(cs2))
+  const points = []
+  const lines = []
+  for (let i = 0; i < intersection.getNumGeometries(); i++) {
+    const g = intersection.getGeometryN(i)
+    if (g.isEmpty()) continue
+    const cs = lineStringToCoords(g)
+    if (g.getGeometryType() === 'Point') {
+      points.push(cs[0])
+    } else {
+      lines.push(cs)
+    }
+  }
+  // overlaps come in pieces split at every vertex, only the ends of the merged overlaps are intersections
+  lineMerge(lines)
+    .filter(cs => !equals(cs[0], cs[cs.length - 1]))
+    .forEach(cs => points.push(cs[0], cs[cs.length - 1]))
+  return points
+}
+
+/**
+ * Union of polygons.
+ * @param {module:coordinate~Coordinate[][][]} polygons
+ * @return {module:coordinate~Coordinate[][][]} The unioned polygons
+ */
+export function union (polygons) {
+  if (polygons.length === 0) {
+    return []
+  }
+  const unioned = polygons
+    .map(toPolygon)
+    .reduce((a, b) => OverlayOp.overlayOp(a, b, OverlayOp.UNION))
+  const result = []
+  for (let i = 0; i < unioned.getNumGeometries(); i++) {
+    result.push(polygonToCoordss(unioned.getGeometryN(i)))
+  }
+  return result
+}
+
+/**
+ * Merges lines into maximal sequences where they are connected end to end with no other lines connected.
+ * @param {module:coordinate~Coordinate[][]} css
+ * @return {module:coordinate~Coordinate[][]} The merged lines
+ */
+export function lineMerge (css) {
+  const key = c => `${c[0]} ${c[1]}`
+  const ends = new Map()
+  css.forEach(cs => [cs[0], cs[cs.length - 1]].forEach(c => {
+    ends.set(key(c), (ends.get(key(c)) || []).concat([cs]))
+  }))
+  const used = new Set()
+  const follow = merged => {
+    let last = merged[merged.length - 1]
+    let connected = ends.get(key(last))
+    while (connected.length === 2 && !equals(last, merged[0])) {
+      const next = connected.find(cs => !used.has(cs))
+      if (!next) break
+      used.add(next)
+      const oriented = equals(next[0], last) ? next : next.slice().reverse()
+      merged = merged.concat(oriented.slice(1))
+      last = merged[merged.length - 1]
+      connected = ends.get(key(last))
+    }
+    return merged
+  }
+  const isStart = c => ends.get(key(c)).length !== 2
+  const result = []
+  css.filter(cs => isStart(cs[0]) || isStart(cs[cs.length - 1])).forEach(cs => {
+    if (used.has(cs)) return
+    used.add(cs)
+    result.push(follow(isStart(cs[0]) ? cs : cs.slice().reverse()))
+  })
+  css.forEach(cs => {
+    if (used.has(cs)) return
+    used.add(cs)
+    result.push(follow(cs))
+  })
+  return result
+}
+
+export function pointDistance (c1, c2) {
+  return Math.hypot(c1[0] - c2[0], c1[1] - c2[1])
+}
+
 export function equals (c1, c2) {
   return c1[0] === c2[0] && c1[1] === c2[1]
 }
 
+export function equalsPolygon (css1, css2) {
+  return RelateOp.relate(toPolygon(css1), toPolygon(css2)).isEquals(2, 2)
+}
+
+/**
+ * Signed area of a ring, negative if the ring is counter-clockwise. The sum is computed in double-double precision
+ * so that the sign is reliable for slivers and nearly collinear rings.
+ * @param {module:coordinate~Coordinate[]} shell Closed ring
+ * @return {number}
+ */
 export function signedArea (shell) {
   if (shell.length < 3) {
     return 0
   }
-  let sum = 0
-  let x
-  let y1
-  let y2
-  let p1 = shell[0]
-  let p2 = shell[1]
-  const x0 = p1[0]
-  for (let i = 2; i < shell.length; i++) {
-    let p3 = shell[i]
-    x = p2[0] - x0
-    y1 = p3[1]
-    y2 = p1[1]
-    sum += x * (y2 - y1)
-    p1 = p2
-    p2 = p3
+  const sum = DD.valueOf(0)
+  const x0 = shell[0][0]
+  for (let i = 1; i < shell.length - 1; i++) {
+    const x = DD.valueOf(shell[i][0]).selfSubtract(x0)
+    sum.selfAdd(x.selfMultiply(DD.valueOf(shell[i - 1][1]).selfSubtract(shell[i + 1][1])))
   }
-  return sum / 2
+  return sum.doubleValue() / 2
 }
 
-export function azimuth (a, b) {
-  let d
-
-  if (a[0] === b[0]) {
-    if (a[1] < b[1]) d = 0.0
-    else if (a[1] > b[1]) d = Math.PI
-    else throw new Error('same coordinate')
-    return d
-  }
-
-  if (a[1] === b[1]) {
-    if (a[0] < b[0]) d = Math.PI / 2
-    else if (a[0] > b[0]) d = Math.PI + (Math.PI / 2)
-    else throw new Error('same coordinate')
-    return d
-  }
+/**
+ * Orientation of a point relative to a segment, robust to round-off.
+ * @param {module:coordinate~Coordinate} c0 Segment start
+ * @param {module:coordinate~Coordinate} c1 Segment end
+ * @param {module:coordinate~Coordinate} c2 Point
+ * @return {number} 1 if the point is to the left of the segment, -1 if it is to the right, 0 if collinear
+ */
+export function orientation (c0, c1, c2) {
+  return CGAlgorithmsDD.orientationIndex(toCoordinate(c0), toCoordinate(c1), toCoordinate(c2))
+}
 
-  if (a[0] < b[0]) {
-    if (a[1] < b[1]) {
-      d = Math.atan(Math.abs(a[0] - b[0]) / Math.abs(a[1] - b[1]))
-    } else {
-      d = Math.atan(Math.abs(a[1] - b[1]) / Math.abs(a[0] - b[0])) + (Math.PI / 2)
-    }
-  } else {
-    if (a[1] > b[1]) {
-      d = Math.atan(Math.abs(a[0] - b[0]) / Math.abs(a[1] - b[1])) + Math.PI
-    } else {
-      d = Math.atan(Math.abs(a[1] - b[1]) / Math.abs(a[0] - b[0])) + (Math.PI + (Math.PI / 2))
-    }
-  }
+function crossSign (d1, d2) {
+  const x1 = DD.valueOf(d1[1][0]).selfSubtract(d1[0][0])
+  const y1 = DD.valueOf(d1[1][1]).selfSubtract(d1[0][1])
+  const x2 = DD.valueOf(d2[1][0]).selfSubtract(d2[0][0])
+  const y2 = DD.valueOf(d2[1][1]).selfSubtract(d2[0][1])
+  return CGAlgorithmsDD.signOfDet2x2(x1, y1, x2, y2)
+}
 
-  return d
+function sameDirection (d1, d2) {
+  return Math.sign(d1[1][0] - d1[0][0]) === Math.sign(d2[1][0] - d2[0][0]) &&
+    Math.sign(d1[1][1] - d1[0][1]) === Math.sign(d2[1][1] - d2[0][1])
 }
 
-export function polygonize (css) {
-  const lss = css.map(toLineString)
-  const polygonizer = new Polygonizer()
-  lss.forEach(ls => polygonizer.add(ls))
-  const polys = polygonizer.getPolygons()
-  if (polys.size() === 0) {
-    throw new Error('Could not polygonize edges - invalid topology?')
+/**
+ * Compares two directions by the clockwise angle from a reference direction to each of them, as the difference of
+ * their azimuths would, but without computing angles, so that directions differing by less than the precision of an
+ * angle are still ordered. Each direction is given as a segment, the reference direction has angle zero.
+ * @param {module:coordinate~Coordinate[]} ref
+ * @param {module:coordinate~Coordinate[]} d1
+ * @param {module:coordinate~Coordinate[]} d2
+ * @return {number} Negative, zero or positive if the angle of d1 is smaller, equal to or larger than the angle of d2
+ */
+export function compareDirections (ref, d1, d2) {
+  const half = d => {
+    const s = crossSign(ref, d)
+    return s < 0 || (s === 0 && sameDirection(ref, d)) ? 0 : 1
   }
-  return polyToCoordss(polys.get(0))
+  const h1 = half(d1)
+  const h2 = half(d2)
+  if (h1 !== h2) {
+    return h1 - h2
+  }
+  return crossSign(d1, d2)
 }
 
-export function split (coordinates, coordinate) {
-  const ls = toLineString(coordinates)
+/**
+ * Splits a line at the point on it closest to a coordinate. With a precision model the split point is rounded to
+ * its grid, so that it can be compared exactly with the coordinates of the node created there.
+ * @param {module:coordinate~Coordinate[]} coordinates
+ * @param {module:coordinate~Coordinate} coordinate
+ * @param {number} [scale] Precision model scale
+ * @return {module:coordinate~Coordinate[][]} The two parts
+ */
+export function split (coordinates, coordinate, scale) {
+  const ls = toLineString(coordinates, scale)
   const c = toCoordinate(coordinate)
   const lil = new LengthIndexedLine(ls)
   const splitIndex = lil.project(c)
@@ -129,11 +287,22 @@ export function split (coordinates, coordinate) {
   const ls2 = lil.extractLine(splitIndex, lil.getEndIndex())
   const cs1 = lineStringToCoords(ls1)
   const cs2 = lineStringToCoords(ls2)
+  if (scale) {
+    const splitCoordinate = makePrecise(cs2[0], scale)
+    cs1[cs1.length - 1] = splitCoordinate
+    cs2[0] = splitCoordinate
+    return [cs1, cs2].map(removeRepeatedPoints)
+  }
   return [cs1, cs2]
 }
 
-function isLeft (c0, c1, c2) {
-  return ((c1[0] - c0[0]) * (c2[1] - c0[1])) - ((c2[0] - c0[0]) * (c1[1] - c0[1]))
+/**
+ * Removes consecutive repeated points of a line.
+ * @param {module:coordinate~Coordinate[]} cs
+ * @return {module:coordinate~Coordinate[]}
+ */
+export function removeRepeatedPoints (cs) {
+  return cs.filter((c, i) => i === 0 || !equals(c, cs[i - 1]))
 }
 
 export function distance (c, cs) {
@@ -142,6 +311,48 @@ export function distance (c, cs) {
   return DistanceOp.distance(point, lineString)
 }
 
+/**
+ * A point guaranteed to be in the interior of a polygon.
+ * @param {module:coordinate~Coordinate[][]} css Polygon rings
+ * @return {module:coordinate~Coordinate}
+ */
+export function pointOnSurface (css) {
+  const c = new InteriorPointArea(toPolygon(css)).getInteriorPoint()
+  return [c.x, c.y]
+}
+
+export function closestPoint (c, cs) {
+  const point = toPoint(c)
+  const lineString = toLineString(cs)
+  const closest = DistanceOp.nearestPoints(lineString, point)[0]
+  return [closest.x, closest.y]
+}
+
+/**
+ * Smallest tolerance that is meaningful for the magnitude of the given coordinates.
+ * @param {module:coordinate~Coordinate[]} cs
+ * @return {number}
+ */
+export function minTolerance (cs) {
+  const max = cs.reduce((max, c) => Math.max(max, Math.abs(c[0]), Math.abs(c[1])), 0)
+  return 3.6 * Math.pow(10, -(15 - Math.log10(max || 1)))
+}
+
+/**
+ * Tests if a point is on a line, robust to round-off.
+ * @param {module:coordinate~Coordinate} c
+ * @param {module:coordinate~Coordinate[]} cs
+ * @return {boolean}
+ */
+export function pointOnLine (c, cs) {
+  return cs.slice(1).some((b, i) => {
+    const a = cs[i]
+    return c[0] >= Math.min(a[0], b[0]) && c[0] <= Math.max(a[0], b[0]) &&
+      c[1] >= Math.min(a[1], b[1]) && c[1] <= Math.max(a[1], b[1]) &&
+      orientation(a, b, c) === 0
+  })
+}
+
 export function pointInPoly (c, shell) {
   return calcWindingNumber(c, shell) !== 0
 }
@@ -153,13 +364,13 @@ export function calcWindingNumber (c, shell) {
     const vb = shell[i + 1]
     if (va[1] <= c[1]) {
       if (vb[1] > c[1]) {
-        const l = isLeft(va, vb, c)
+        const l = orientation(va, vb, c)
         if (l > 0) wn++
         else if (l === 0) return 0
       }
     } else {
       if (vb[1] <= c[1]) {
-        const l = isLeft(va, vb, c)
+        const l = orientation(va, vb, c)
         if (l < 0) wn--
         else if (l === 0) return 0
       }
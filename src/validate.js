@@ -0,0 +1,302 @@
+/** @module */
+
+import rbush from 'rbush'
+
+import { splitRing, getRingCoordinates, getFaceGeometry } from './face'
+import { isSimple, relate, equals, distance, signedArea, pointInPoly, equalsPolygon } from './utils'
+
+/**
+ * Validation error
+ *
+ * @typedef {Object} ValidationError
+ * @property {string} error Error description
+ * @property {number} id1 ID of the first offending element
+ * @property {number} id2 ID of the second offending element, or null
+ */
+
+function getBounds (coordinates) {
+  const xs = coordinates.map(c => c[0])
+  const ys = coordinates.map(c => c[1])
+  return {
+    minX: Math.min(...xs),
+    minY: Math.min(...ys),
+    maxX: Math.max(...xs),
+    maxY: Math.max(...ys)
+  }
+}
+
+function sameBounds (o, bounds) {
+  return o.minX === bounds.minX && o.minY === bounds.minY && o.maxX === bounds.maxX && o.maxY === bounds.maxY
+}
+
+function validateEdges (topo, errors) {
+  const { edges, nodes } = topo
+  const error = (error, id1, id2 = null) => errors.push({ error, id1, id2 })
+
+  const valid = edges.filter(e => {
+    if (e.coordinates.length < 2 || e.coordinates.every(c => equals(c, e.coordinates[0]))) {
+      error('invalid edge', e.id)
+      return false
+    }
+    if (!isSimple(e.coordinates)) {
+      error('edge not simple', e.id)
+    }
+    if (!equals(e.start.coordinate, e.coordinates[0])) {
+      error('edge start node geometry mis-match', e.id, e.start.id)
+    }
+    if (!equals(e.end.coordinate, e.coordinates[e.coordinates.length - 1])) {
+      error('edge end node geometry mis-match', e.id, e.end.id)
+    }
+    return true
+  })
+
+  const edgesTree = rbush(16)
+  edgesTree.load(valid.map(edge => Object.assign({ edge }, getBounds(edge.coordinates))))
+
+  const nodesTree = rbush(16)
+  nodesTree.load(nodes.map(node => Object.assign({ node }, getBounds([node.coordinate]))))
+
+  edgesTree.all().forEach(item => {
+    const e1 = item.edge
+    edgesTree.search(item)
+      .map(other => other.edge)
+      .filter(e2 => e2.id > e1.id)
+      .forEach(e2 => {
+        const im = relate(e1.coordinates, e2.coordinates)
+        if (im.matches('1FFF*FFF2')) {
+          error('coincident edges', e1.id, e2.id)
+        } else if (im.matches('1********')) {
+          error('edge overlaps edge', e1.id, e2.id)
+        } else if (im.matches('T********')) {
+          error('edge crosses edge', e1.id, e2.id)
+        }
+      })
+    nodesTree.search(item)
+      .map(other => other.node)
+      .filter(n => n !== e1.start && n !== e1.end)
+      .forEach(n => {
+        if (distance(n.coordinate, e1.coordinates) === 0) {
+          error('edge crosses node', e1.id, n.id)
+        }
+      })
+  })
+}
+
+function validateRings (topo, errors) {
+  const { edges } = topo
+  const error = (error, id1, id2 = null) => errors.push({ error, id1, id2 })
+
+  const edgeSet = new Set(edges)
+  const visited = new Set()
+  const key = he => he.dir ? he.edge.id : -he.edge.id
+  const faceRings = new Map()
+  const broken = new Set()
+
+  edges.forEach(edge => [true, false].forEach(dir => {
+    const start = { edge, dir }
+    if (visited.has(key(start))) return
+    const face = dir ? edge.leftFace : edge.rightFace
+    const ring = new Set()
+    const halfEdges = []
+    let mixed = false
+    let he = start
+    while (true) {
+      visited.add(key(he))
+      ring.add(key(he))
+      halfEdges.push(he)
+      if ((he.dir ? he.edge.leftFace : he.edge.rightFace) !== face) {
+        broken.add(he.dir ? he.edge.leftFace : he.edge.rightFace)
+        mixed = true
+      }
+      const next = he.dir
+        ? { edge: he.edge.nextLeft, dir: he.edge.nextLeftDir }
+        : { edge: he.edge.nextRight, dir: he.edge.nextRightDir }
+      const end = he.dir ? he.edge.end : he.edge.start
+      if (!edgeSet.has(next.edge) || (next.dir ? next.edge.start : next.edge.end) !== end) {
+        error(he.dir ? 'invalid next_left_edge' : 'invalid next_right_edge', he.edge.id, next.edge ? next.edge.id : null)
+        broken.add(face)
+        return
+      }
+      he = next
+      if (key(he) === key(start)) break
+      if (ring.has(key(he)) || visited.has(key(he))) {
+        error('non-closed ring', edge.id)
+        broken.add(face)
+        return
+      }
+    }
+    if (mixed) {
+      error('mixed face labeling in ring', edge.id)
+      broken.add(face)
+      return
+    }
+    // edges with the face on both sides are dangling or bridge holes to the shell, they bound no area
+    const bounding = halfEdges.filter(he => he.edge.leftFace !== he.edge.rightFace)
+    if (bounding.length > 0) {
+      faceRings.set(face, (faceRings.get(face) || []).concat(splitRing(bounding)))
+    }
+  }))
+
+  broken.forEach(face => faceRings.set(face, null))
+  return faceRings
+}
+
+function validateFaces (topo, errors, faceRings) {
+  const { edges, faces, universe } = topo
+  const error = (error, id1, id2 = null) => errors.push({ error, id1, id2 })
+
+  const shells = new Map()
+
+  const facesTree = new Set(topo.facesTree.all())
+
+  const bound = new Set()
+  edges.forEach(e => {
+    bound.add(e.leftFace)
+    bound.add(e.rightFace)
+  })
+
+  faces.filter(f => f !== universe).forEach(face => {
+    if (!bound.has(face)) {
+      error('face without edges', face.id)
+      return
+    }
+    if (faceRings.get(face) === null) {
+      // corrupted rings are reported by validateRings
+      return
+    }
+    // reference rings walked from the edges, independent of the incidence indices and the geometry cache
+    const rings = (faceRings.get(face) || []).map(getRingCoordinates)
+    const faceShells = rings.filter(ring => signedArea(ring) < 0)
+    if (faceShells.length === 0) {
+      error('face has no rings', face.id)
+      return
+    }
+    if (faceShells.length > 1) {
+      error('face has multiple shells', face.id)
+      return
+    }
+    const shell = faceShells[0]
+    shells.set(face, shell)
+
+    let geometry
+    try {
+      geometry = getFaceGeometry(topo, face)
+    } catch (e) {
+      error('face geometry error', face.id)
+      return
+    }
+    const holes = rings.filter(ring => signedArea(ring) > 0)
+    if (geometry.length === 0 || !equalsPolygon([shell].concat(holes), geometry)) {
+      error('face geometry mis-match', face.id)
+    }
+
+    if (!facesTree.has(face)) {
+      error('face not in index', face.id)
+    } else if (!sameBounds(face, getBounds(shell))) {
+      error('face has wrong mbr', face.id)
+    }
+  })
+
+  if (facesTree.has(universe)) {
+    error('universe face in index', universe.id)
+  }
+  const faceSet = new Set(faces)
+  facesTree.forEach(f => {
+    if (!faceSet.has(f)) {
+      error('removed face in index', f.id)
+    }
+  })
+
+  return shells
+}
+
+function validateNodes (topo, errors, shells) {
+  const { nodes, edges, universe } = topo
+  const error = (error, id1, id2 = null) => errors.push({ error, id1, id2 })
+
+  const connected = new Set()
+  edges.forEach(e => {
+    connected.add(e.start)
+    connected.add(e.end)
+  })
+
+  const areas = new Map()
+  shells.forEach((shell, face) => areas.set(face, Math.abs(signedArea(shell))))
+
+  nodes.filter(n => !connected.has(n)).forEach(node => {
+    if (!node.face) {
+      error('isolated node has null containing_face', node.id)
+      return
+    }
+    let containing = universe
+    shells.forEach((shell, face) => {
+      if (pointInPoly(node.coordinate, shell) && (containing === universe || areas.get(face) < areas.get(containing))) {
+        containing = face
+      }
+    })
+    if (node.face !== containing) {
+      error('isolated node has wrong containing_face', node.id, node.face.id)
+    }
+  })
+}
+
+function validateIndex (topo, errors, elements, tree, getCoordinates, type) {
+  const error = (error, id1, id2 = null) => errors.push({ error, id1, id2 })
+
+  const items = new Set(tree.all())
+  elements.forEach(o => {
+    if (!items.has(o)) {
+      error(`${type} not in index`, o.id)
+    } else if (!sameBounds(o, getBounds(getCoordinates(o)))) {
+      error(`${type} has wrong mbr`, o.id)
+    }
+  })
+  const elementSet = new Set(elements)
+  items.forEach(o => {
+    if (!elementSet.has(o)) {
+      error(`removed ${type} in index`, o.id)
+    }
+  })
+}
+
+function validateIncidence (topo, errors, index, elements, getKeys, type, keyType) {
+  const error = (error, id1, id2 = null) => errors.push({ error, id1, id2 })
+
+  const expected = new Map()
+  elements.forEach(o => getKeys(o).forEach(key => {
+    if (!expected.has(key)) expected.set(key, new Set())
+    expected.get(key).add(o)
+  }))
+  expected.forEach((values, key) => {
+    const indexed = index.get(key) || new Set()
+    values.forEach(o => !indexed.has(o) && error(`${type} missing from ${keyType} index`, o.id, key.id))
+  })
+  index.forEach((indexed, key) => {
+    const values = expected.get(key) || new Set()
+    indexed.forEach(o => !values.has(o) && error(`stale ${type} in ${keyType} index`, o.id, key.id))
+  })
+}
+
+/**
+ * Validates a topology and returns the list of errors found. An empty list means a valid topology.
+ *
+ * The errors are described with the same strings as in PostGIS ValidateTopology where applicable.
+ *
+ * @param {module:topo~Topo} topo
+ * @return {module:validate~ValidationError[]}
+ */
+export function validateTopology (topo) {
+  const errors = []
+
+  validateEdges(topo, errors)
+  const faceRings = validateRings(topo, errors)
+  const shells = validateFaces(topo, errors, faceRings)
+  validateNodes(topo, errors, shells)
+  validateIndex(topo, errors, topo.nodes, topo.nodesTree, n => [n.coordinate], 'node')
+  validateIndex(topo, errors, topo.edges, topo.edgesTree, e => e.coordinates, 'edge')
+  validateIncidence(topo, errors, topo.nodeEdges, topo.edges, e => [e.start, e.end], 'edge', 'node')
+  validateIncidence(topo, errors, topo.faceEdges, topo.edges, e => [e.leftFace, e.rightFace], 'edge', 'face')
+  validateIncidence(topo, errors, topo.faceNodes, topo.nodes, n => n.face ? [n.face] : [], 'node', 'face')
+
+  return errors
+}
@@ -2,6 +2,7 @@ import { expect } from 'chai'
 
 import { createTopology } from '../src/topo'
 import { e2s } from '../src/edge'
+import { validateTopology } from '../src/validate'
 
 let topo
 
@@ -20,6 +21,16 @@ describe('edge', () => {
       const end = topo.addIsoNode([1, 1])
       const edge = topo.addIsoEdge(start, end, [[0, 0], [1, 1]])
       expect(edge).to.exist
+      expect(e2s(edge)).to.equal('1|1|2|-1|1|0|0')
+    })
+    it('should put both sides of the edge in the face containing the nodes', () => {
+      const node = topo.addIsoNode([0, 0])
+      topo.addEdgeNewFaces(node, node, [[0, 0], [4, 0], [4, 4], [0, 4], [0, 0]])
+      const start = topo.addIsoNode([1, 1])
+      const end = topo.addIsoNode([2, 2])
+      const edge = topo.addIsoEdge(start, end, [[1, 1], [2, 2]])
+      expect(edge.leftFace.id).to.equal(1)
+      expect(edge.rightFace).to.equal(edge.leftFace)
     })
     it('should refuse to add a duplicate edge', () => {
       const start = topo.addIsoNode([0, 0])
@@ -58,6 +69,83 @@ describe('edge', () => {
       select st_addisoedge('topo5', 3, 4, ST_GeomFromText('LINESTRING(0 1, 1 0)'));
       */
     })
+    it('should round the geometry to the grid of the precision model', () => {
+      topo = createTopology('test', 0, 0, { scale: 10 })
+      const start = topo.addIsoNode([0.01, 0])
+      const end = topo.addIsoNode([1, 1])
+      const edge = topo.addIsoEdge(start, end, [[0, 0], [0.501, 0.62], [0.49, 0.58], [1, 1]])
+      expect(start.coordinate).to.eql([0, 0])
+      expect(edge.coordinates).to.eql([[0, 0], [0.5, 0.6], [1, 1]])
+    })
+    it('should snap end points within tolerance to the nodes', () => {
+      topo = createTopology('test', 0, 0.01)
+      const start = topo.addIsoNode([0, 0])
+      const end = topo.addIsoNode([1, 1])
+      const edge = topo.addIsoEdge(start, end, [[0.001, -0.001], [0.5, 0.6], [1.002, 1]])
+      expect(edge.coordinates).to.eql([[0, 0], [0.5, 0.6], [1, 1]])
+      expect(() => {
+        topo.addIsoEdge(start, end, [[0.02, 0], [1, 1]])
+      }).to.throw(/^start node not geometry start point$/)
+    })
+    it('should use a per call tolerance', () => {
+      topo = createTopology('test', 0, 0.01)
+      const start = topo.addIsoNode([0, 0])
+      const end = topo.addIsoNode([1, 1])
+      expect(() => {
+        topo.addIsoEdge(start, end, [[0, 0], [1.002, 1]], 0)
+      }).to.throw(/^end node not geometry end point$/)
+    })
+    it('should refuse to add an edge within tolerance of a node', () => {
+      topo = createTopology('test', 0, 0.01)
+      topo.addIsoNode([0.5, 0.505])
+      const start = topo.addIsoNode([0, 0])
+      const end = topo.addIsoNode([1, 1])
+      expect(() => {
+        topo.addIsoEdge(start, end, [[0, 0], [1, 1]])
+      }).to.throw(/^geometry crosses a node$/)
+    })
+    it('should refuse to add an edge within tolerance of another edge', () => {
+      topo = createTopology('test', 0, 0.01)
+      const start1 = topo.addIsoNode([0, 0])
+      const end1 = topo.addIsoNode([2, 0])
+      topo.addIsoEdge(start1, end1, [[0, 0], [2, 0]])
+      const start2 = topo.addIsoNode([0, 1])
+      const end2 = topo.addIsoNode([2, 1])
+      expect(() => {
+        topo.addIsoEdge(start2, end2, [[0, 1], [1, 0.005], [2, 1]])
+      }).to.throw(/^geometry within tolerance of edge 1$/)
+      expect(topo.addIsoEdge(start2, end2, [[0, 1], [1, 0.005], [2, 1]], 0.001)).to.exist
+    })
+    it('should add a closed edge enclosing a new face', () => {
+      const node = topo.addIsoNode([0, 0])
+      const edge = topo.addIsoEdge(node, node, [[0, 0], [2, 0], [2, 2], [0, 2], [0, 0]])
+      expect(e2s(edge)).to.equal('1|1|1|1|-1|1|0')
+      expect(node.face).to.not.exist
+      expect(topo.faces).to.have.lengthOf(2)
+      expect(topo.getFaceByPoint([1, 1])).to.equal(topo.faces[1])
+      expect(validateTopology(topo)).to.eql([])
+    })
+    it('should add a closed edge splitting the face containing it', () => {
+      const node1 = topo.addIsoNode([0, 0])
+      topo.addIsoEdge(node1, node1, [[0, 0], [4, 0], [4, 4], [0, 4], [0, 0]])
+      const face = topo.faces[1]
+      const node2 = topo.addIsoNode([1, 1])
+      const node3 = topo.addIsoNode([3, 3])
+      const edge = topo.addIsoEdge(node2, node2, [[1, 1], [2, 1], [2, 2], [1, 2], [1, 1]])
+      expect(e2s(edge)).to.equal('2|2|2|2|-2|2|1')
+      expect(topo.faces).to.eql([topo.universe, face, edge.leftFace])
+      expect(node3.face).to.equal(face)
+      expect(topo.addIsoNode([1.5, 1.5]).face).to.equal(edge.leftFace)
+      expect(validateTopology(topo)).to.eql([])
+    })
+    it('should refuse to add a closed edge on a node which is not isolated', () => {
+      const node1 = topo.addIsoNode([0, 0])
+      const node2 = topo.addIsoNode([-1, 0])
+      topo.addIsoEdge(node1, node2, [[0, 0], [-1, 0]])
+      expect(() => {
+        topo.addIsoEdge(node1, node1, [[0, 0], [2, 0], [2, 2], [0, 0]])
+      }).to.throw(/^not isolated node$/)
+    })
   })
 
   describe('addEdgeNewFaces', () => {
@@ -75,6 +163,25 @@ describe('edge', () => {
       */
     })
 
+    it('should snap the end points of a closed edge within tolerance', () => {
+      topo = createTopology('test', 0, 0.01)
+      const node = topo.addIsoNode([0, 0])
+      const edge = topo.addEdgeNewFaces(node, node, [[0.001, 0], [0, 1], [1, 1], [0, 0.001]])
+      expect(edge.coordinates).to.eql([[0, 0], [0, 1], [1, 1], [0, 0]])
+      expect(e2s(edge)).to.equal('1|1|1|1|-1|0|1')
+    })
+
+    it('should drop a point an end point is snapped onto', () => {
+      topo = createTopology('test', 0, 0.01)
+      const start = topo.addIsoNode([0, 0])
+      const end = topo.addIsoNode([1, 1])
+      const edge = topo.addEdgeNewFaces(start, end, [[0.005, 0], [0, 0], [1, 0], [1, 1]])
+      expect(edge.coordinates).to.eql([[0, 0], [1, 0], [1, 1]])
+      expect(() => topo.addEdgeNewFaces(start, start, [[0.005, 0], [0, 0.005]]))
+        .to.throw(/^curve has less than two distinct points$/)
+      expect(topo.edges).to.eql([edge])
+    })
+
     it('should be able to add two edges forming a face', () => {
       const node1 = topo.addIsoNode([0, 0])
       const node2 = topo.addIsoNode([1, 1])
@@ -167,6 +274,79 @@ describe('edge', () => {
       select st_addedgenewfaces('topo5', 1, 1, ST_GeomFromText('LINESTRING(0 0, 0 -1, -1 -1, 0 0)'));
       */
     })
+
+    it('should order edges whose azimuths are equal in floating point', () => {
+      const node1 = topo.addIsoNode([0, 0])
+      const node2 = topo.addIsoNode([1e8, 1])
+      const node3 = topo.addIsoNode([1e8 + 1, 1])
+      const node4 = topo.addIsoNode([-1, 0])
+      topo.addEdgeNewFaces(node1, node2, [[0, 0], [1e8, 1]])
+      topo.addEdgeNewFaces(node1, node4, [[0, 0], [-1, 0]])
+      topo.addEdgeNewFaces(node2, node3, [[1e8, 1], [1e8 + 1, 1]])
+      const edge4 = topo.addEdgeNewFaces(node3, node1, [[1e8 + 1, 1], [0, 0]])
+
+      expect(e2s(edge4)).to.equal('4|3|1|2|-3|0|1')
+      expect(topo.getFaceGeometry(topo.faces[1])[0]).to.have.lengthOf(4)
+      expect(validateTopology(topo)).to.eql([])
+    })
+  })
+
+  describe('face split', () => {
+    const faces = e => [e.leftFace, e.rightFace]
+
+    let corners
+
+    beforeEach(() => {
+      corners = [[0, 0], [0, 4], [4, 4], [4, 0]].map(c => topo.addIsoNode(c))
+      corners.forEach((n, i) => {
+        const next = corners[(i + 1) % 4]
+        topo.addEdgeNewFaces(n, next, [n.coordinate, next.coordinate])
+      })
+    })
+
+    ;['addEdgeNewFaces', 'addEdgeModFace'].forEach(add => {
+      it(`should assign dangling edges to the face containing them with ${add}`, () => {
+        const node1 = topo.addIsoNode([1, 3])
+        const dangle1 = topo.addEdgeNewFaces(node1, corners[0], [[1, 3], [0, 0]])
+        const node2 = topo.addIsoNode([3, 1])
+        const node3 = topo.addIsoNode([3.5, 0.5])
+        const dangle2 = topo.addIsoEdge(node2, node3, [[3, 1], [3.5, 0.5]])
+        const node4 = topo.addIsoNode([3, 2])
+        const dangle3 = topo.addEdgeNewFaces(corners[3], node4, [[4, 0], [3.5, 1.5], [3, 2]])
+
+        topo[add](corners[0], corners[2], [[0, 0], [4, 4]])
+
+        const upper = topo.getFaceByPoint([0.5, 3.5])
+        const lower = topo.getFaceByPoint([3.5, 0.2])
+        expect(upper).to.not.equal(lower)
+        expect(faces(dangle1)).to.eql([upper, upper])
+        expect(faces(dangle2)).to.eql([lower, lower])
+        expect(faces(dangle3)).to.eql([lower, lower])
+        expect(validateTopology(topo)).to.eql([])
+      })
+
+      it(`should assign nested rings to the face containing them with ${add}`, () => {
+        const node1 = topo.addIsoNode([1, 2.5])
+        const ring1 = topo.addEdgeNewFaces(node1, node1, [[1, 2.5], [1, 3], [1.5, 3], [1, 2.5]])
+        const node2 = topo.addIsoNode([2, 0.5])
+        const ring2 = topo.addEdgeNewFaces(node2, node2, [[2, 0.5], [3.5, 0.5], [3.5, 2], [2, 0.5]])
+        const node3 = topo.addIsoNode([3, 1])
+        const ring3 = topo.addEdgeNewFaces(node3, node3, [[3, 1], [3.2, 1], [3.2, 1.3], [3, 1]])
+        const between = topo.getFaceByPoint([3.4, 0.6])
+
+        topo[add](corners[0], corners[2], [[0, 0], [4, 4]])
+
+        const upper = topo.getFaceByPoint([0.5, 3.5])
+        const lower = topo.getFaceByPoint([3.8, 0.2])
+        expect(upper).to.not.equal(lower)
+        expect(faces(ring1)).to.include(upper)
+        expect(faces(ring2)).to.include(lower)
+        expect(faces(ring2)).to.include(between)
+        expect(faces(ring3)).to.include(between)
+        expect(faces(ring3)).to.not.include(lower)
+        expect(validateTopology(topo)).to.eql([])
+      })
+    })
   })
 
   describe('modEdgeSplit', () => {
@@ -196,6 +376,38 @@ describe('edge', () => {
       select st_modedgesplit('topo5', 3, ST_GeomFromText('POINT(0.5 0.5)'));
       */
     })
+    it('should place the new node on the grid of the precision model', () => {
+      topo = createTopology('test', 0, 0, { scale: 100 })
+      const node1 = topo.addIsoNode([0, 0])
+      const node2 = topo.addIsoNode([1, 3])
+      const edge1 = topo.addIsoEdge(node1, node2, [[0, 0], [1, 3]])
+      const node3 = topo.modEdgeSplit(edge1, [1 / 3, 1])
+      const edge2 = edge1.nextLeft
+      expect(node3.coordinate).to.eql([0.33, 1])
+      expect(edge1.coordinates[1]).to.equal(node3.coordinate)
+      expect(edge2.coordinates[0]).to.equal(node3.coordinate)
+      expect(validateTopology(topo)).to.eql([])
+    })
+    it('should refuse to split an edge at a node on the grid of the precision model', () => {
+      topo = createTopology('test', 0, 0, { scale: 10 })
+      const node1 = topo.addIsoNode([0, 0])
+      const node2 = topo.addIsoNode([1, 1])
+      const edge1 = topo.addIsoEdge(node1, node2, [[0, 0], [1, 1]])
+      expect(() => topo.modEdgeSplit(edge1, [0.01, 0.01])).to.throw(/^coincident node$/)
+    })
+    it('should split a closed edge', () => {
+      const node1 = topo.addIsoNode([0, 0])
+      const edge1 = topo.addEdgeNewFaces(node1, node1, [[0, 0], [0, 1], [1, 1], [0, 0]])
+      const node2 = topo.modEdgeSplit(edge1, [1, 1])
+      const edge2 = edge1.nextLeft
+
+      expect(e2s(edge1)).to.equal('1|1|2|2|-2|0|1')
+      expect(e2s(edge2)).to.equal('2|2|1|1|-1|0|1')
+      expect(edge1.coordinates).to.eql([[0, 0], [0, 1], [1, 1]])
+      expect(edge2.coordinates).to.eql([[1, 1], [0, 0]])
+      expect(node2.face).to.not.exist
+      expect(validateTopology(topo)).to.eql([])
+    })
   })
 
   describe('modEdgeSplit', () => {
@@ -240,6 +452,251 @@ describe('edge', () => {
     })
   })
 
+  describe('newEdgesSplit', () => {
+    it('should replace a middle edge with two new edges', () => {
+      const node1 = topo.addIsoNode([0, 0])
+      const node2 = topo.addIsoNode([1, 1])
+      const edge1 = topo.addEdgeNewFaces(node1, node2, [[0, 0], [0, 1], [1, 1]])
+      const edge2 = topo.addEdgeNewFaces(node2, node1, [[1, 1], [1, 0], [0, 0]])
+      const edge3 = topo.addEdgeNewFaces(node1, node2, [[0, 0], [1, 1]])
+
+      let split
+      topo.on('splitedge', e => (split = e))
+
+      const node3 = topo.newEdgesSplit(edge3, [0.5, 0.5])
+      const [edge4, edge5] = split.newEdges
+
+      expect(split.origEdge).to.equal(edge3)
+      expect(topo.edges).to.not.include(edge3)
+      expect(e2s(edge1)).to.equal('1|1|2|2|4|0|3')
+      expect(e2s(edge2)).to.equal('2|2|1|1|-5|0|2')
+      expect(e2s(edge4)).to.equal('4|1|3|5|-2|3|2')
+      expect(e2s(edge5)).to.equal('5|3|2|-1|-4|3|2')
+      expect(edge4.coordinates).to.eql([[0, 0], [0.5, 0.5]])
+      expect(edge5.coordinates).to.eql([[0.5, 0.5], [1, 1]])
+      expect(node3.coordinate).to.eql([0.5, 0.5])
+
+      /* equivalent postgis topo
+      select droptopology('topo5');
+      select createtopology('topo5', 0, 0);
+      select st_addisonode('topo5', 0, ST_GeomFromText('POINT(0 0)'));
+      select st_addisonode('topo5', 0, ST_GeomFromText('POINT(1 1)'));
+      select st_addedgenewfaces('topo5', 1, 2, ST_GeomFromText('LINESTRING(0 0, 0 1, 1 1)'));
+      select st_addedgenewfaces('topo5', 2, 1, ST_GeomFromText('LINESTRING(1 1, 1 0, 0 0)'));
+      select st_addedgenewfaces('topo5', 1, 2, ST_GeomFromText('LINESTRING(0 0, 1 1)'));
+      select st_newedgessplit('topo5', 3, ST_GeomFromText('POINT(0.5 0.5)'));
+      */
+    })
+
+    it('should split a closed edge', () => {
+      const node1 = topo.addIsoNode([0, 0])
+      const edge1 = topo.addEdgeNewFaces(node1, node1, [[0, 0], [0, 1], [1, 1], [0, 0]])
+      topo.newEdgesSplit(edge1, [0, 1])
+      const [edge2, edge3] = topo.edges
+
+      expect(e2s(edge2)).to.equal('2|1|2|3|-3|0|1')
+      expect(e2s(edge3)).to.equal('3|2|1|2|-2|0|1')
+    })
+
+    it('should refuse to split at an existing node', () => {
+      const node1 = topo.addIsoNode([0, 0])
+      const node2 = topo.addIsoNode([1, 0])
+      const edge1 = topo.addIsoEdge(node1, node2, [[0, 0], [1, 0]])
+      expect(() => {
+        topo.newEdgesSplit(edge1, [1, 0])
+      }).to.throw(/^coincident node$/)
+    })
+
+    it('should refuse to split at a point not on the edge', () => {
+      const node1 = topo.addIsoNode([0, 0])
+      const node2 = topo.addIsoNode([1, 0])
+      const edge1 = topo.addIsoEdge(node1, node2, [[0, 0], [1, 0]])
+      expect(() => {
+        topo.newEdgesSplit(edge1, [0.5, 0.5])
+      }).to.throw(/^point not on edge$/)
+    })
+  })
+
+  describe('modEdgeHeal', () => {
+    it('should heal two edges split by modEdgeSplit back into one', () => {
+      const node1 = topo.addIsoNode([0, 0])
+      const node2 = topo.addIsoNode([1, 1])
+      const edge1 = topo.addEdgeNewFaces(node1, node2, [[0, 0], [0, 1], [1, 1]])
+      const edge2 = topo.addEdgeNewFaces(node2, node1, [[1, 1], [1, 0], [0, 0]])
+      const node3 = topo.modEdgeSplit(edge1, [0, 1])
+      const edge3 = edge1.nextLeft
+
+      const removed = topo.modEdgeHeal(edge1, edge3)
+
+      expect(removed).to.equal(node3)
+      expect(e2s(edge1)).to.equal('1|1|2|2|-2|0|1')
+      expect(e2s(edge2)).to.equal('2|2|1|1|-1|0|1')
+      expect(edge1.coordinates).to.eql([[0, 0], [0, 1], [1, 1]])
+      expect(topo.edges).to.have.lengthOf(2)
+      expect(topo.nodes).to.not.include(node3)
+      expect(topo.edgesTree.all()).to.have.members([edge1, edge2])
+
+      /* equivalent postgis topo
+      select droptopology('topo5');
+      select createtopology('topo5', 0, 0);
+      select st_addisonode('topo5', 0, ST_GeomFromText('POINT(0 0)'));
+      select st_addisonode('topo5', 0, ST_GeomFromText('POINT(1 1)'));
+      select st_addedgenewfaces('topo5', 1, 2, ST_GeomFromText('LINESTRING(0 0, 0 1, 1 1)'));
+      select st_addedgenewfaces('topo5', 2, 1, ST_GeomFromText('LINESTRING(1 1, 1 0, 0 0)'));
+      select st_modedgesplit('topo5', 1, ST_GeomFromText('POINT(0 1)'));
+      select st_modedgeheal('topo5', 1, 3);
+      */
+    })
+
+    it('should heal edges with opposite directions', () => {
+      const node1 = topo.addIsoNode([0, 0])
+      const node2 = topo.addIsoNode([1, 0])
+      const node3 = topo.addIsoNode([2, 0])
+      const edge1 = topo.addEdgeNewFaces(node1, node2, [[0, 0], [1, 0]])
+      const edge2 = topo.addEdgeNewFaces(node3, node2, [[2, 0], [1, 0]])
+
+      topo.modEdgeHeal(edge1, edge2)
+
+      expect(e2s(edge1)).to.equal('1|1|3|-1|1|0|0')
+      expect(edge1.coordinates).to.eql([[0, 0], [1, 0], [2, 0]])
+    })
+
+    it('should refuse to heal non-connected edges', () => {
+      const node1 = topo.addIsoNode([0, 0])
+      const node2 = topo.addIsoNode([1, 0])
+      const node3 = topo.addIsoNode([0, 1])
+      const node4 = topo.addIsoNode([1, 1])
+      const edge1 = topo.addIsoEdge(node1, node2, [[0, 0], [1, 0]])
+      const edge2 = topo.addIsoEdge(node3, node4, [[0, 1], [1, 1]])
+      expect(() => {
+        topo.modEdgeHeal(edge1, edge2)
+      }).to.throw(/^non-connected edges$/)
+    })
+
+    it('should refuse to heal edges when other edges are connected', () => {
+      const node1 = topo.addIsoNode([0, 0])
+      const node2 = topo.addIsoNode([1, 0])
+      const node3 = topo.addIsoNode([2, 0])
+      const node4 = topo.addIsoNode([1, 1])
+      const edge1 = topo.addEdgeNewFaces(node1, node2, [[0, 0], [1, 0]])
+      const edge2 = topo.addEdgeNewFaces(node2, node3, [[1, 0], [2, 0]])
+      topo.addEdgeNewFaces(node2, node4, [[1, 0], [1, 1]])
+      expect(() => {
+        topo.modEdgeHeal(edge1, edge2)
+      }).to.throw(/^other edges connected \(3\)$/)
+    })
+  })
+
+  describe('newEdgeHeal', () => {
+    it('should replace two edges split by modEdgeSplit with a new edge', () => {
+      const node1 = topo.addIsoNode([0, 0])
+      const node2 = topo.addIsoNode([1, 1])
+      const edge1 = topo.addEdgeNewFaces(node1, node2, [[0, 0], [0, 1], [1, 1]])
+      const edge2 = topo.addEdgeNewFaces(node2, node1, [[1, 1], [1, 0], [0, 0]])
+      const node3 = topo.modEdgeSplit(edge1, [0, 1])
+      const edge3 = edge1.nextLeft
+
+      const events = []
+      topo.on('removenode', n => events.push('removenode ' + n.id))
+      topo.on('removeedge', e => events.push('removeedge ' + e.id))
+      topo.on('addedge', e => events.push('addedge ' + e.id))
+
+      const edge4 = topo.newEdgeHeal(edge1, edge3)
+
+      expect(e2s(edge4)).to.equal('4|1|2|2|-2|0|1')
+      expect(e2s(edge2)).to.equal('2|2|1|4|-4|0|1')
+      expect(edge4.coordinates).to.eql([[0, 0], [0, 1], [1, 1]])
+      expect(topo.edges).to.eql([edge2, edge4])
+      expect(topo.nodes).to.not.include(node3)
+      expect(events).to.eql(['removenode 3', 'removeedge 1', 'removeedge 3', 'addedge 4'])
+
+      /* equivalent postgis topo
+      select droptopology('topo5');
+      select createtopology('topo5', 0, 0);
+      select st_addisonode('topo5', 0, ST_GeomFromText('POINT(0 0)'));
+      select st_addisonode('topo5', 0, ST_GeomFromText('POINT(1 1)'));
+      select st_addedgenewfaces('topo5', 1, 2, ST_GeomFromText('LINESTRING(0 0, 0 1, 1 1)'));
+      select st_addedgenewfaces('topo5', 2, 1, ST_GeomFromText('LINESTRING(1 1, 1 0, 0 0)'));
+      select st_modedgesplit('topo5', 1, ST_GeomFromText('POINT(0 1)'));
+      select st_newedgeheal('topo5', 1, 3);
+      */
+    })
+  })
+
+  describe('changeEdgeGeom', () => {
+    it('should change the shape of an edge and update face bounds', () => {
+      const node1 = topo.addIsoNode([0, 0])
+      const node2 = topo.addIsoNode([1, 1])
+      const edge1 = topo.addEdgeNewFaces(node1, node2, [[0, 0], [0, 1], [1, 1]])
+      const edge2 = topo.addEdgeNewFaces(node2, node1, [[1, 1], [1, 0], [0, 0]])
+
+      const events = []
+      topo.on('modedge', e => events.push('modedge ' + e.id))
+      topo.on('modface', f => events.push('modface ' + f.id))
+
+      topo.changeEdgeGeom(edge1, [[0, 0], [-1, 2], [1, 1]])
+
+      expect(edge1.coordinates).to.eql([[0, 0], [-1, 2], [1, 1]])
+      expect(e2s(edge1)).to.equal('1|1|2|2|-2|0|1')
+      expect(e2s(edge2)).to.equal('2|2|1|1|-1|0|1')
+      expect(edge1.minX).to.equal(-1)
+      expect(edge1.maxY).to.equal(2)
+      expect(topo.edgesTree.search({ minX: -1, minY: 2, maxX: -1, maxY: 2 })).to.eql([edge1])
+      expect(topo.facesTree.search({ minX: -1, minY: 2, maxX: -1, maxY: 2 })).to.eql([edge1.rightFace])
+      expect(events).to.eql(['modedge 1', 'modface 1'])
+    })
+
+    it('should refuse a geometry not starting on the start node', () => {
+      const node1 = topo.addIsoNode([0, 0])
+      const node2 = topo.addIsoNode([1, 0])
+      const edge1 = topo.addIsoEdge(node1, node2, [[0, 0], [1, 0]])
+      expect(() => {
+        topo.changeEdgeGeom(edge1, [[0, 1], [1, 0]])
+      }).to.throw(/^start node not geometry start point$/)
+    })
+
+    it('should refuse a geometry crossing another edge', () => {
+      const node1 = topo.addIsoNode([0, 0])
+      const node2 = topo.addIsoNode([2, 0])
+      const node3 = topo.addIsoNode([1, 1])
+      const node4 = topo.addIsoNode([1, 2])
+      const edge1 = topo.addIsoEdge(node1, node2, [[0, 0], [2, 0]])
+      topo.addIsoEdge(node3, node4, [[1, 1], [1, 2]])
+      expect(() => {
+        topo.changeEdgeGeom(edge1, [[0, 0], [0.5, 1.5], [1.5, 1.5], [2, 0]])
+      }).to.throw(/^geometry crosses edge 2$/)
+    })
+
+    it('should refuse a geometry crossing a node', () => {
+      const node1 = topo.addIsoNode([0, 0])
+      const node2 = topo.addIsoNode([2, 0])
+      topo.addIsoNode([1, 1])
+      const edge1 = topo.addIsoEdge(node1, node2, [[0, 0], [2, 0]])
+      expect(() => {
+        topo.changeEdgeGeom(edge1, [[0, 0], [1, 1], [2, 0]])
+      }).to.throw(/^geometry crosses a node$/)
+    })
+
+    it('should refuse to move an edge across an isolated node', () => {
+      const node1 = topo.addIsoNode([0, 0])
+      const node2 = topo.addIsoNode([4, 0])
+      topo.addIsoNode([2, 1])
+      const edge1 = topo.addIsoEdge(node1, node2, [[0, 0], [4, 0]])
+      expect(() => {
+        topo.changeEdgeGeom(edge1, [[0, 0], [2, 2], [4, 0]])
+      }).to.throw(/^edge motion collision at node 3$/)
+    })
+
+    it('should refuse to move a closed edge across an isolated node', () => {
+      const node1 = topo.addIsoNode([0, 0])
+      const edge1 = topo.addEdgeNewFaces(node1, node1, [[0, 0], [0, 4], [4, 4], [4, 0], [0, 0]])
+      topo.addIsoNode([3, 3])
+      expect(() => {
+        topo.changeEdgeGeom(edge1, [[0, 0], [0, 2], [2, 2], [2, 0], [0, 0]])
+      }).to.throw(/^edge motion collision at node 2$/)
+    })
+  })
+
   describe('remEdgeNewFaces', () => {
     it('should be able to remove a single edge/face', () => {
       const node = topo.addIsoNode([0, 0])
@@ -249,6 +706,35 @@ describe('edge', () => {
       expect(e2s(edge)).to.equal('1|1|1|1|-1|0|0')
     })
 
+    it('should remove a closed edge around a hole', () => {
+      const node1 = topo.addIsoNode([0, 0])
+      const edge1 = topo.addEdgeNewFaces(node1, node1, [[0, 0], [4, 0], [4, 4], [0, 4], [0, 0]])
+      const node2 = topo.addIsoNode([1, 1])
+      const edge2 = topo.addEdgeNewFaces(node2, node2, [[1, 1], [2, 1], [2, 2], [1, 2], [1, 1]])
+      expect(e2s(edge1)).to.equal('1|1|1|1|-1|2|0')
+      expect(e2s(edge2)).to.equal('2|2|2|2|-2|3|2')
+
+      const face = topo.remEdgeNewFace(edge2)
+
+      expect(e2s(edge1)).to.equal('1|1|1|1|-1|4|0')
+      expect(topo.faces).to.eql([topo.universe, face])
+      expect(node2.face).to.equal(face)
+      expect(validateTopology(topo)).to.eql([])
+    })
+
+    it('should remove a closed edge around a hole keeping the face', () => {
+      const node1 = topo.addIsoNode([0, 0])
+      const edge1 = topo.addEdgeModFace(node1, node1, [[0, 0], [4, 0], [4, 4], [0, 4], [0, 0]])
+      const node2 = topo.addIsoNode([1, 1])
+      const edge2 = topo.addEdgeModFace(node2, node2, [[1, 1], [2, 1], [2, 2], [1, 2], [1, 1]])
+      const face = edge1.leftFace
+
+      expect(topo.remEdgeModFace(edge2)).to.equal(face)
+      expect(topo.faces).to.eql([topo.universe, face])
+      expect(node2.face).to.equal(face)
+      expect(validateTopology(topo)).to.eql([])
+    })
+
     it('should be able to remove a single edge and merge tree faces into two', () => {
       const node1 = topo.addIsoNode([0, 0])
       const node2 = topo.addIsoNode([1, 1])
@@ -342,5 +828,26 @@ describe('edge', () => {
       select st_addedgenewfaces('topo5', 5, 6, ST_GeomFromText('LINESTRING(0 1, 1 0)'));
       */
     })
+
+    it('should keep the next edges valid when removing an edge', () => {
+      const nodes = [[0, 0], [2, 0], [2, 2], [0, 2], [1, 1], [3, 1]].map(c => topo.addIsoNode(c))
+      const add = (a, b) => topo.addEdgeNewFaces(nodes[a], nodes[b], [nodes[a].coordinate, nodes[b].coordinate])
+      const edge1 = add(0, 1)
+      add(1, 2)
+      add(2, 3)
+      add(3, 0)
+      add(0, 4)
+      add(4, 2)
+      add(1, 4)
+      add(1, 5)
+      add(5, 2)
+      add(4, 3)
+      topo.remEdgeNewFace(edge1)
+      topo.edges.forEach(e => {
+        expect(e.nextLeftDir).to.be.a('boolean')
+        expect(e.nextRightDir).to.be.a('boolean')
+      })
+      expect(validateTopology(topo)).to.eql([])
+    })
   })
 })
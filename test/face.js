@@ -0,0 +1,200 @@
+import { expect } from 'chai'
+
+import { createTopology } from '../src/topo'
+import { signedArea } from '../src/utils'
+import { square } from './fixtures'
+
+let topo
+
+beforeEach(() => {
+  topo = createTopology('test', 0, 0, { history: true })
+})
+
+describe('face', () => {
+  describe('getFaceByPoint', () => {
+    let outer, island
+
+    beforeEach(() => {
+      topo.addPolygon([[[0, 0], [0, 4], [4, 4], [4, 0], [0, 0]]])
+      island = topo.addPolygon([[[1, 1], [1, 2], [2, 2], [2, 1], [1, 1]]])[0]
+      outer = topo.faces.find(f => f !== topo.universe && f !== island)
+    })
+
+    it('should find the face accounting for holes', () => {
+      expect(topo.getFaceByPoint([1.5, 1.5])).to.equal(island)
+      expect(topo.getFaceByPoint([3, 3])).to.equal(outer)
+      expect(topo.getFaceByPoint([0.5, 1.5])).to.equal(outer)
+    })
+
+    it('should find the universe outside of every face', () => {
+      expect(topo.getFaceByPoint([5, 5])).to.equal(topo.universe)
+      expect(topo.getFaceByPoint([-1, 2])).to.equal(topo.universe)
+    })
+
+    it('should refuse a point on the boundary of two faces', () => {
+      expect(() => topo.getFaceByPoint([1, 1.5])).to.throw(/^two or more faces found$/)
+      expect(() => topo.getFaceByPoint([0, 2])).to.throw(/^two or more faces found$/)
+    })
+
+    it('should find the face of an edge bounding it on both sides', () => {
+      topo.addLineString([[3, 3], [3.5, 3.5]])
+      expect(topo.getFaceByPoint([3.25, 3.25])).to.equal(outer)
+    })
+
+    it('should use the tolerance', () => {
+      expect(topo.getFaceByPoint([1.05, 1.5])).to.equal(island)
+      expect(() => topo.getFaceByPoint([1.05, 1.5], 0.1)).to.throw(/^two or more faces found$/)
+    })
+  })
+
+  describe('getRingEdges', () => {
+    it('should walk both sides of a closed edge', () => {
+      const node = topo.addIsoNode([0, 0])
+      const edge = topo.addEdgeNewFaces(node, node, [[0, 0], [2, 0], [2, 2], [0, 2], [0, 0]])
+      expect(topo.getRingEdges(edge, true)).to.eql([{ edge, dir: true }])
+      expect(topo.getRingEdges(edge, false)).to.eql([{ edge, dir: false }])
+      expect(topo.getFaceGeometry(edge.leftFace)).to.eql([edge.coordinates])
+    })
+  })
+
+  describe('getFaceGeometry', () => {
+    it('should return the shell counter-clockwise', () => {
+      const node = topo.addIsoNode([0, 0])
+      topo.addEdgeNewFaces(node, node, [[0, 0], [0, 2], [2, 2], [2, 0], [0, 0]])
+      const geometry = topo.getFaceGeometry(topo.faces[1])
+      expect(geometry).to.have.lengthOf(1)
+      expect(signedArea(geometry[0])).to.equal(-4)
+    })
+
+    it('should return a hole for an island', () => {
+      topo.addPolygon([[[0, 0], [0, 4], [4, 4], [4, 0], [0, 0]]])
+      const [island] = topo.addPolygon([[[1, 1], [1, 2], [2, 2], [2, 1], [1, 1]]])
+      const face = topo.faces.find(f => f !== topo.universe && f !== island)
+      const geometry = topo.getFaceGeometry(face)
+      expect(geometry).to.have.lengthOf(2)
+      expect(signedArea(geometry[0])).to.equal(-16)
+      expect(signedArea(geometry[1])).to.equal(1)
+      expect(topo.getFaceGeometry(island)).to.have.lengthOf(1)
+    })
+
+    it('should return a hole connected to the shell by an edge', () => {
+      topo.addPolygon([[[0, 0], [0, 4], [4, 4], [4, 0], [0, 0]]])
+      const [island] = topo.addPolygon([[[1, 1], [1, 2], [2, 2], [2, 1], [1, 1]]])
+      topo.addLineString([[0, 0], [1, 1]])
+      const face = topo.faces.find(f => f !== topo.universe && f !== island)
+      const geometry = topo.getFaceGeometry(face)
+      expect(geometry).to.have.lengthOf(2)
+      expect(signedArea(geometry[1])).to.equal(1)
+    })
+
+    it('should return a hole touching the shell', () => {
+      topo.addPolygon([[[0, 0], [0, 4], [4, 4], [4, 0], [0, 0]]])
+      const [island] = topo.addPolygon([[[0, 0], [1, 2], [2, 1], [0, 0]]])
+      const face = topo.faces.find(f => f !== topo.universe && f !== island)
+      const geometry = topo.getFaceGeometry(face)
+      expect(geometry).to.have.lengthOf(2)
+      expect(signedArea(geometry[0])).to.equal(-16)
+      expect(signedArea(geometry[1])).to.equal(1.5)
+    })
+
+    it('should follow changes to the edges of the face', () => {
+      const { edge1 } = square(topo, topo.addEdgeModFace)
+      const face = topo.faces[1]
+      const geometry = topo.getFaceGeometry(face)
+      topo.modEdgeSplit(edge1, [0, 1])
+      expect(topo.getFaceGeometry(face)[0]).to.have.lengthOf(6)
+      topo.changeEdgeGeom(topo.edges[2], [[0, 1], [-1, 1], [0, 2], [2, 2]])
+      expect(signedArea(topo.getFaceGeometry(face)[0])).to.equal(-4.5)
+      topo.history.undo()
+      topo.history.undo()
+      expect(topo.getFaceGeometry(face)).to.eql(geometry)
+    })
+
+    it('should not be changed modifying the returned geometry', () => {
+      square(topo, topo.addEdgeModFace)
+      topo.getFaceGeometry(topo.faces[1])[0].pop()
+      expect(topo.getFaceGeometry(topo.faces[1])[0]).to.have.lengthOf(5)
+    })
+
+    it('should ignore isolated edges', () => {
+      topo.addPolygon([[[0, 0], [0, 4], [4, 4], [4, 0], [0, 0]]])
+      topo.addLineString([[1, 1], [2, 2]])
+      expect(topo.getFaceGeometry(topo.faces[1])).to.have.lengthOf(1)
+    })
+  })
+
+  describe('facesTree', () => {
+    const search = c => topo.facesTree.search({ minX: c[0], minY: c[1], maxX: c[0], maxY: c[1] })
+
+    function expectBounds (topo) {
+      const indexed = topo.facesTree.all()
+      expect(indexed).to.have.members(topo.faces.filter(f => f !== topo.universe))
+      indexed.forEach(f => {
+        const shell = topo.getFaceGeometry(f)[0]
+        const xs = shell.map(c => c[0])
+        const ys = shell.map(c => c[1])
+        expect([f.minX, f.minY, f.maxX, f.maxY]).to.eql([Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)])
+      })
+    }
+
+    it('should shrink the face kept by addEdgeModFace', () => {
+      const { edge1, node2 } = square(topo, topo.addEdgeModFace)
+      const node3 = topo.modEdgeSplit(edge1, [0, 1])
+      expectBounds(topo)
+      topo.addEdgeModFace(node3, node2, [[0, 1], [2, 2]])
+      expectBounds(topo)
+      expect(search([0.5, 0.5])).to.have.lengthOf(1)
+      expect(search([0.5, 1.5])).to.have.lengthOf(2)
+    })
+
+    it('should index the face enclosed by a clockwise ring added by addEdgeModFace and keep the outer bounds', () => {
+      const node1 = topo.addIsoNode([0, 0])
+      const node2 = topo.addIsoNode([4, 4])
+      topo.addEdgeModFace(node1, node2, [[0, 0], [4, 0], [4, 4]])
+      topo.addEdgeModFace(node2, node1, [[4, 4], [0, 4], [0, 0]])
+      const node3 = topo.addIsoNode([1, 1])
+      const node4 = topo.addIsoNode([2, 2])
+      topo.addEdgeModFace(node3, node4, [[1, 1], [1, 2], [2, 2]])
+      topo.addEdgeModFace(node4, node3, [[2, 2], [2, 1], [1, 1]])
+      expectBounds(topo)
+      expect(search([3, 3])).to.have.lengthOf(1)
+      expect(search([1.5, 1.5])).to.have.lengthOf(2)
+    })
+
+    it('should grow the face kept by remEdgeModFace', () => {
+      const { edge1, node2 } = square(topo, topo.addEdgeModFace)
+      const node3 = topo.modEdgeSplit(edge1, [0, 1])
+      const edge = topo.addEdgeModFace(node3, node2, [[0, 1], [2, 2]])
+      topo.remEdgeModFace(edge)
+      expectBounds(topo)
+      expect(search([0.5, 0.5])).to.eql([topo.faces[1]])
+      expect(search([0.5, 1.5])).to.eql([topo.faces[1]])
+    })
+
+    it('should follow the other operations changing faces', () => {
+      const { edge1, edge2, node1 } = square(topo, topo.addEdgeModFace)
+      topo.addEdgeNewFaces(node1, topo.nodes[1], [[0, 0], [2, 2]])
+      expectBounds(topo)
+      topo.changeEdgeGeom(edge1, [[0, 0], [-1, 1], [0, 2], [2, 2]])
+      expectBounds(topo)
+      expect(search([-0.5, 1])).to.have.lengthOf(1)
+      topo.remEdgeNewFace(topo.edges[2])
+      expectBounds(topo)
+      topo.newEdgesSplit(edge2, [2, 1])
+      expectBounds(topo)
+      topo.addPolygon([[[5, 5], [5, 6], [6, 6], [6, 5], [5, 5]]])
+      expectBounds(topo)
+      expect(topo.facesTree.all()).to.not.include(topo.universe)
+    })
+
+    it('should be restored by undo and redo', () => {
+      const { edge1, node2 } = square(topo, topo.addEdgeModFace)
+      const node3 = topo.modEdgeSplit(edge1, [0, 1])
+      topo.addEdgeModFace(node3, node2, [[0, 1], [2, 2]])
+      topo.history.undo()
+      expectBounds(topo)
+      topo.history.redo()
+      expectBounds(topo)
+    })
+  })
+})
@@ -0,0 +1,10 @@
+/**
+ * Adds a square with corners [0, 0] and [2, 2] made of two edges, the first going up the left side.
+ */
+export function square (topo, addEdge = topo.addEdgeNewFaces) {
+  const node1 = topo.addIsoNode([0, 0])
+  const node2 = topo.addIsoNode([2, 2])
+  const edge1 = addEdge(node1, node2, [[0, 0], [0, 2], [2, 2]])
+  const edge2 = addEdge(node2, node1, [[2, 2], [2, 0], [0, 0]])
+  return { node1, node2, edge1, edge2 }
+}
@@ -0,0 +1,164 @@
+import { expect } from 'chai'
+
+import { createTopology } from '../src/topo'
+import { serializeTopology } from '../src/serialize'
+import { validateTopology } from '../src/validate'
+import { square } from './fixtures'
+
+let topo
+
+beforeEach(() => {
+  topo = createTopology('test', 0, 0, { history: true })
+})
+
+const trees = topo => [topo.nodesTree.all(), topo.edgesTree.all(), topo.facesTree.all()]
+
+describe('history', () => {
+  it('should be disabled by default', () => {
+    expect(createTopology('test', 0, 0).history).to.be.undefined
+  })
+
+  it('should undo and redo addIsoNode', () => {
+    const node = topo.addIsoNode([1, 1])
+    expect(topo.history.canUndo()).to.be.true
+    expect(topo.history.undo()).to.be.true
+    expect(topo.nodes).to.eql([])
+    expect(topo.nodesSeq).to.equal(1)
+    expect(topo.nodesTree.all()).to.eql([])
+    expect(topo.history.canUndo()).to.be.false
+    expect(topo.history.canRedo()).to.be.true
+    expect(topo.history.redo()).to.be.true
+    expect(topo.nodes).to.have.lengthOf(1)
+    expect(topo.nodes[0]).to.equal(node)
+    expect(topo.nodesTree.all()).to.eql([node])
+    expect(topo.history.canRedo()).to.be.false
+  })
+
+  it('should return false when there is nothing to undo or redo', () => {
+    expect(topo.history.undo()).to.be.false
+    expect(topo.history.redo()).to.be.false
+  })
+
+  it('should restore the exact prior state', () => {
+    const { edge1 } = square(topo)
+    const state = serializeTopology(topo)
+    const edges = topo.edges.slice()
+    const faces = topo.faces.slice()
+    const indexed = trees(topo)
+
+    const node3 = topo.modEdgeSplit(edge1, [0, 1])
+    topo.addEdgeModFace(node3, topo.nodes[1], [[0, 1], [2, 2]])
+    topo.remEdgeModFace(topo.edges[0])
+    topo.history.undo()
+    topo.history.undo()
+    topo.history.undo()
+
+    expect(serializeTopology(topo)).to.eql(state)
+    expect(topo.edges).to.eql(edges)
+    topo.edges.forEach((e, i) => expect(e).to.equal(edges[i]))
+    topo.faces.forEach((f, i) => expect(f).to.equal(faces[i]))
+    const restored = trees(topo)
+    indexed.forEach((items, i) => expect(restored[i]).to.have.members(items))
+    expect(validateTopology(topo)).to.eql([])
+  })
+
+  it('should redo to the exact state after the changes', () => {
+    const { node1, node2 } = square(topo)
+    topo.remEdgeNewFace(topo.edges[0])
+    const state = serializeTopology(topo)
+    topo.history.undo()
+    topo.history.undo()
+    topo.history.undo()
+    expect(topo.edges).to.eql([])
+    topo.history.redo()
+    topo.history.redo()
+    topo.history.redo()
+    expect(serializeTopology(topo)).to.eql(state)
+    expect(topo.nodes).to.eql([node1, node2])
+    expect(validateTopology(topo)).to.eql([])
+  })
+
+  it('should clear the redo steps on a new change', () => {
+    topo.addIsoNode([1, 1])
+    topo.history.undo()
+    topo.addIsoNode([2, 2])
+    expect(topo.history.canRedo()).to.be.false
+  })
+
+  it('should not record failed calls', () => {
+    topo.addIsoNode([1, 1])
+    expect(() => topo.addIsoNode([1, 1])).to.throw('coincident node')
+    topo.history.undo()
+    expect(topo.history.canUndo()).to.be.false
+  })
+
+  it('should group several calls into one step', () => {
+    const result = topo.history.group(() => {
+      square(topo)
+      return 'done'
+    })
+    expect(result).to.equal('done')
+    topo.history.undo()
+    expect(topo.history.canUndo()).to.be.false
+    expect(topo.nodes).to.eql([])
+    expect(topo.edges).to.eql([])
+    expect(topo.faces).to.eql([topo.universe])
+    expect(topo.facesTree.all()).to.eql([])
+  })
+
+  it('should fire the matching events', () => {
+    const { edge1 } = square(topo)
+    const events = []
+    const record = name => o => events.push(`${name} ${o.id}`)
+    Object.keys(topo.observers).filter(name => /^(add|mod|remove)/.test(name)).forEach(name => topo.on(name, record(name)))
+
+    const node3 = topo.modEdgeSplit(edge1, [0, 1])
+    events.length = 0
+    topo.history.undo()
+    expect(events).to.have.members([`removenode ${node3.id}`, 'removeedge 3', 'modedge 1', 'modedge 2'])
+
+    events.length = 0
+    topo.history.redo()
+    expect(events).to.have.members([`addnode ${node3.id}`, 'addedge 3', 'modedge 1', 'modedge 2'])
+  })
+
+  it('should record a step around a rolled back transaction', () => {
+    topo.history.group(() => {
+      topo.addIsoNode([1, 1])
+      expect(() => topo.transaction(() => {
+        topo.addIsoNode([2, 2])
+        throw new Error('rollback')
+      })).to.throw('rollback')
+    })
+    expect(topo.nodes).to.have.lengthOf(1)
+    topo.history.undo()
+    expect(topo.nodes).to.eql([])
+    expect(topo.nodesSeq).to.equal(1)
+    topo.history.redo()
+    expect(topo.nodes.map(n => n.coordinate)).to.eql([[1, 1]])
+    expect(topo.nodesTree.all()).to.eql(topo.nodes)
+  })
+
+  it('should forget the oldest steps beyond the limit', () => {
+    topo = createTopology('test', 0, 0, { history: true, historyLimit: 2 })
+    topo.addIsoNode([1, 1])
+    topo.addIsoNode([2, 2])
+    topo.addIsoNode([3, 3])
+    expect(topo.history.undo()).to.be.true
+    expect(topo.history.undo()).to.be.true
+    expect(topo.history.undo()).to.be.false
+    expect(topo.nodes.map(n => n.coordinate)).to.eql([[1, 1]])
+  })
+
+  it('should restore features', () => {
+    const { edge1 } = square(topo)
+    const layer = topo.addLayer('roads', 'line')
+    const feature = topo.createTopoGeom(layer, [edge1])
+    topo.modEdgeSplit(edge1, [0, 1])
+    expect(feature.edges).to.have.lengthOf(2)
+    topo.history.undo()
+    expect(feature.edges).to.eql([edge1])
+    topo.history.undo()
+    expect(layer.features).to.eql([])
+  })
+})
@@ -0,0 +1,197 @@
+import { expect } from 'chai'
+
+import { createTopology } from '../src/topo'
+
+let topo
+
+beforeEach(() => {
+  topo = createTopology('test', 0, 0)
+})
+
+// two unit squares side by side, faces 1 (left) and 2 (right)
+function squares (topo) {
+  const node1 = topo.addIsoNode([0, 0])
+  const node2 = topo.addIsoNode([1, 0])
+  const node3 = topo.addIsoNode([1, 1])
+  topo.addEdgeModFace(node2, node3, [[1, 0], [1, 1]])
+  topo.addEdgeModFace(node3, node1, [[1, 1], [0, 1], [0, 0]])
+  topo.addEdgeModFace(node1, node2, [[0, 0], [1, 0]])
+  topo.addEdgeModFace(node2, node3, [[1, 0], [2, 0], [2, 1], [1, 1]])
+  return topo.faces.slice(1)
+}
+
+describe('layer', () => {
+  describe('addLayer', () => {
+    it('should add a layer', () => {
+      const layer = topo.addLayer('parcels', 'polygon')
+      expect(layer).to.include({ id: 1, name: 'parcels', type: 'polygon' })
+      expect(topo.layers).to.eql([layer])
+    })
+
+    it('should refuse a duplicate layer name', () => {
+      topo.addLayer('parcels', 'polygon')
+      expect(() => topo.addLayer('parcels', 'line')).to.throw('layer parcels already exists')
+    })
+
+    it('should refuse an invalid layer type', () => {
+      expect(() => topo.addLayer('parcels', 'area')).to.throw('invalid layer type area')
+    })
+  })
+
+  describe('createTopoGeom', () => {
+    it('should create features from primitives', () => {
+      const [face1, face2] = squares(topo)
+      const layer = topo.addLayer('parcels', 'polygon')
+      const feature1 = topo.createTopoGeom(layer, [face1])
+      const feature2 = topo.createTopoGeom(layer, [face1, face2])
+      expect(feature1).to.include({ id: 1, layer: 1, type: 'polygon' })
+      expect(feature2.faces).to.eql([face1, face2])
+      expect(layer.features).to.eql([feature1, feature2])
+    })
+
+    it('should refuse primitives not matching the layer type', () => {
+      squares(topo)
+      const layer = topo.addLayer('roads', 'line')
+      expect(() => topo.createTopoGeom(layer, [topo.nodes[0]])).to.throw('a line layer cannot contain nodes')
+    })
+
+    it('should refuse the universe face', () => {
+      const layer = topo.addLayer('parcels', 'polygon')
+      expect(() => topo.createTopoGeom(layer, [topo.universe])).to.throw('element 0 is not a node, edge or face of the topology')
+    })
+  })
+
+  describe('getTopoGeomGeometry', () => {
+    it('should return a point geometry', () => {
+      const node = topo.addIsoNode([1, 2])
+      const layer = topo.addLayer('wells', 'point')
+      const feature = topo.createTopoGeom(layer, [node])
+      expect(topo.getTopoGeomGeometry(feature)).to.eql({ type: 'Point', coordinates: [1, 2] })
+    })
+
+    it('should merge edges into a line', () => {
+      squares(topo)
+      const layer = topo.addLayer('roads', 'line')
+      const feature = topo.createTopoGeom(layer, [topo.edges[1], topo.edges[2]])
+      const geometry = topo.getTopoGeomGeometry(feature)
+      expect(geometry.type).to.equal('LineString')
+      expect(geometry.coordinates).to.have.lengthOf(4)
+    })
+
+    it('should union faces into a polygon', () => {
+      const [face1, face2] = squares(topo)
+      const layer = topo.addLayer('parcels', 'polygon')
+      const feature = topo.createTopoGeom(layer, [face1, face2])
+      const geometry = topo.getTopoGeomGeometry(feature)
+      expect(geometry.type).to.equal('Polygon')
+      expect(geometry.coordinates).to.have.lengthOf(1)
+      expect(geometry.coordinates[0]).to.have.lengthOf(7)
+    })
+
+    it('should return a collection', () => {
+      const [face1] = squares(topo)
+      const node = topo.addIsoNode([5, 5])
+      const layer = topo.addLayer('mixed', 'collection')
+      const feature = topo.createTopoGeom(layer, [node, face1])
+      const geometry = topo.getTopoGeomGeometry(feature)
+      expect(geometry.type).to.equal('GeometryCollection')
+      expect(geometry.geometries.map(g => g.type)).to.eql(['Point', 'Polygon'])
+    })
+  })
+
+  describe('membership', () => {
+    it('should follow edges split by modEdgeSplit and newEdgesSplit', () => {
+      squares(topo)
+      const layer = topo.addLayer('roads', 'line')
+      const edge = topo.edges[2]
+      const feature = topo.createTopoGeom(layer, [edge])
+      topo.modEdgeSplit(edge, [0.5, 0])
+      expect(feature.edges).to.eql([edge, topo.edges[4]])
+      topo.newEdgesSplit(edge, [0.25, 0])
+      expect(feature.edges).to.have.members([topo.edges[3], topo.edges[4], topo.edges[5]])
+    })
+
+    it('should follow faces split by addEdgeModFace', () => {
+      const [face1] = squares(topo)
+      const layer = topo.addLayer('parcels', 'polygon')
+      const feature = topo.createTopoGeom(layer, [face1])
+      topo.addEdgeModFace(topo.nodes[0], topo.nodes[2], [[0, 0], [1, 1]])
+      expect(feature.faces).to.eql([face1, topo.faces[3]])
+    })
+
+    it('should follow faces split by addEdgeNewFaces', () => {
+      const [face1] = squares(topo)
+      const layer = topo.addLayer('parcels', 'polygon')
+      const feature = topo.createTopoGeom(layer, [face1])
+      topo.addEdgeNewFaces(topo.nodes[0], topo.nodes[2], [[0, 0], [1, 1]])
+      expect(feature.faces).to.have.members([topo.faces[2], topo.faces[3]])
+      expect(topo.faces).to.not.include(face1)
+    })
+
+    it('should follow faces merged by removing an edge', () => {
+      const [face1, face2] = squares(topo)
+      const layer = topo.addLayer('parcels', 'polygon')
+      const feature = topo.createTopoGeom(layer, [face1, face2])
+      const face = topo.remEdgeNewFace(topo.edges[0])
+      expect(feature.faces).to.eql([face])
+    })
+
+    it('should refuse to remove an edge changing a feature', () => {
+      const [face1] = squares(topo)
+      const layer = topo.addLayer('parcels', 'polygon')
+      topo.createTopoGeom(layer, [face1])
+      expect(() => topo.remEdgeModFace(topo.edges[0]))
+        .to.throw('TopoGeom 1 in layer 1 (parcels) cannot be represented dropping edge 1')
+      const roads = topo.addLayer('roads', 'line')
+      topo.createTopoGeom(roads, [topo.edges[3]])
+      expect(() => topo.remEdgeModFace(topo.edges[3]))
+        .to.throw('TopoGeom 1 in layer 2 (roads) cannot be represented dropping edge 4')
+    })
+
+    it('should follow healed edges', () => {
+      squares(topo)
+      const edge = topo.edges[2]
+      const node = topo.modEdgeSplit(edge, [0.5, 0])
+      const layer = topo.addLayer('roads', 'line')
+      const feature = topo.createTopoGeom(layer, [edge, topo.edges[4]])
+      topo.newEdgeHeal(edge, topo.edges[4])
+      expect(feature.edges).to.eql([topo.edges[3]])
+      expect(topo.nodes).to.not.include(node)
+    })
+
+    it('should refuse to heal edges changing a feature', () => {
+      squares(topo)
+      const edge = topo.edges[2]
+      topo.modEdgeSplit(edge, [0.5, 0])
+      const layer = topo.addLayer('roads', 'line')
+      topo.createTopoGeom(layer, [edge])
+      expect(() => topo.modEdgeHeal(edge, topo.edges[4]))
+        .to.throw('TopoGeom 1 in layer 1 (roads) cannot be represented healing edges 3 and 5')
+    })
+
+    it('should refuse to remove a node used by a feature', () => {
+      squares(topo)
+      const edge = topo.edges[2]
+      const node = topo.modEdgeSplit(edge, [0.5, 0])
+      const isolated = topo.addIsoNode([3, 3])
+      const layer = topo.addLayer('points', 'point')
+      const feature = topo.createTopoGeom(layer, [node, isolated])
+      expect(() => topo.removeIsoNode(isolated))
+        .to.throw('TopoGeom 1 in layer 1 (points) cannot be represented dropping node 5')
+      expect(() => topo.modEdgeHeal(edge, topo.edges[4]))
+        .to.throw('TopoGeom 1 in layer 1 (points) cannot be represented dropping node 4')
+      expect(topo.nodes).to.include.members([node, isolated])
+      expect(feature.nodes).to.eql([node, isolated])
+    })
+
+    it('should forget the primitives of a feature whose creation is undone', () => {
+      topo = createTopology('test', 0, 0, { history: true })
+      squares(topo)
+      const layer = topo.addLayer('roads', 'line')
+      topo.createTopoGeom(layer, [topo.edges[3]])
+      topo.history.undo()
+      expect(layer.features).to.eql([])
+      expect(() => topo.remEdgeModFace(topo.edges[3])).to.not.throw()
+    })
+  })
+})
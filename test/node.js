@@ -1,6 +1,7 @@
 import { expect } from 'chai'
 
 import { createTopology } from '../src/topo'
+import { signedArea } from '../src/utils'
 
 let topo
 
@@ -21,5 +22,94 @@ describe('node', () => {
         topo.addIsoNode([0, 0])
       }).to.throw(/^coincident node$/)
     })
+    it('should refuse to add a node within tolerance of another node', () => {
+      topo = createTopology('test', 0, 0.01)
+      topo.addIsoNode([0, 0])
+      expect(() => topo.addIsoNode([0.005, 0])).to.throw(/^coincident node$/)
+      expect(topo.addIsoNode([0.005, 0], 0.001)).to.exist
+    })
+    it('should refuse to add a node within tolerance of an edge', () => {
+      topo = createTopology('test', 0, 0.01)
+      const node1 = topo.addIsoNode([0, 0])
+      const node2 = topo.addIsoNode([2, 0])
+      topo.addIsoEdge(node1, node2, [[0, 0], [2, 0]])
+      expect(() => topo.addIsoNode([1, 0.005])).to.throw(/^edge crosses node$/)
+      expect(() => topo.addIsoNode([1, 0])).to.throw(/^edge crosses node$/)
+    })
+    it('should add a node to the innermost face of nested islands', () => {
+      topo.addPolygon([[[0, 0], [0, 8], [8, 8], [8, 0], [0, 0]]])
+      topo.addPolygon([[[2, 2], [2, 6], [6, 6], [6, 2], [2, 2]]])
+      topo.addPolygon([[[3, 3], [3, 4], [4, 4], [4, 3], [3, 3]]])
+      const shellArea = node => signedArea(topo.getFaceGeometry(node.face)[0])
+      expect(shellArea(topo.addIsoNode([3.5, 3.5]))).to.equal(-1)
+      expect(shellArea(topo.addIsoNode([5, 5]))).to.equal(-16)
+      expect(shellArea(topo.addIsoNode([1, 1]))).to.equal(-64)
+      expect(topo.addIsoNode([9, 9]).face).to.equal(topo.universe)
+    })
+  })
+  describe('getNodeByPoint', () => {
+    it('should find the closest node within tolerance', () => {
+      topo = createTopology('test', 0, 0.1)
+      topo.addIsoNode([0, 0])
+      const node = topo.addIsoNode([0.15, 0])
+      expect(topo.getNodeByPoint([0.1, 0])).to.equal(node)
+      expect(topo.getNodeByPoint([0.1, 0], 0)).to.not.exist
+      expect(topo.getNodeByPoint([0.5, 0])).to.not.exist
+    })
+  })
+  describe('moveIsoNode', () => {
+    it('should move an isolated node', () => {
+      const node = topo.addIsoNode([0, 0])
+      let moved
+      topo.on('modnode', n => (moved = n))
+      topo.moveIsoNode(node, [1, 2])
+      expect(node.coordinate).to.eql([1, 2])
+      expect(node.id).to.equal(1)
+      expect(moved).to.equal(node)
+      expect(topo.getNodeByPoint([0, 0])).to.not.exist
+      expect(topo.getNodeByPoint([1, 2])).to.equal(node)
+    })
+    it('should assign the face containing the new location', () => {
+      const node1 = topo.addIsoNode([0, 0])
+      topo.addEdgeNewFaces(node1, node1, [[0, 0], [0, 4], [4, 4], [4, 0], [0, 0]])
+      const node = topo.addIsoNode([10, 10])
+      expect(node.face).to.equal(topo.universe)
+      topo.moveIsoNode(node, [2, 2])
+      expect(node.face.id).to.equal(1)
+      topo.moveIsoNode(node, [-2, -2])
+      expect(node.face).to.equal(topo.universe)
+    })
+    it('should refuse to move a non-isolated node', () => {
+      const node1 = topo.addIsoNode([0, 0])
+      const node2 = topo.addIsoNode([1, 0])
+      topo.addIsoEdge(node1, node2, [[0, 0], [1, 0]])
+      expect(() => {
+        topo.moveIsoNode(node1, [0, 1])
+      }).to.throw(/^not isolated node$/)
+    })
+    it('should refuse to move a node onto another node', () => {
+      const node = topo.addIsoNode([0, 0])
+      topo.addIsoNode([1, 0])
+      expect(() => {
+        topo.moveIsoNode(node, [1, 0])
+      }).to.throw(/^coincident node$/)
+    })
+    it('should refuse to move a node onto an edge', () => {
+      const node1 = topo.addIsoNode([0, 0])
+      const node2 = topo.addIsoNode([2, 0])
+      topo.addIsoEdge(node1, node2, [[0, 0], [2, 0]])
+      const node = topo.addIsoNode([1, 1])
+      expect(() => {
+        topo.moveIsoNode(node, [1, 0])
+      }).to.throw(/^edge crosses node$/)
+    })
+    it('should refuse to move a node within tolerance of another node', () => {
+      topo = createTopology('test', 0, 0.01)
+      const node = topo.addIsoNode([0, 0])
+      topo.addIsoNode([1, 0])
+      expect(() => topo.moveIsoNode(node, [0.995, 0])).to.throw(/^coincident node$/)
+      topo.moveIsoNode(node, [0.995, 0], 0)
+      expect(node.coordinate).to.eql([0.995, 0])
+    })
   })
 })
@@ -0,0 +1,104 @@
+import { expect } from 'chai'
+
+import { createTopology } from '../src/topo'
+import { e2s } from '../src/edge'
+import { serializeTopology, deserializeTopology } from '../src/serialize'
+
+let topo
+
+beforeEach(() => {
+  topo = createTopology('test', 4326, 0.5)
+  const node1 = topo.addIsoNode([0, 0])
+  topo.addEdgeModFace(node1, node1, [[0, 0], [0, 4], [4, 4], [4, 0], [0, 0]])
+  const node2 = topo.addIsoNode([1, 1])
+  const node3 = topo.addIsoNode([3, 3])
+  topo.addEdgeModFace(node2, node3, [[1, 1], [1, 3], [3, 3]])
+  topo.addEdgeModFace(node3, node2, [[3, 3], [3, 1], [1, 1]])
+  topo.addIsoNode([2, 5])
+  const node5 = topo.addIsoNode([6, 6])
+  topo.removeIsoNode(node5)
+})
+
+describe('serialize', () => {
+  describe('serializeTopology', () => {
+    it('should produce JSON with ID references', () => {
+      const json = serializeTopology(topo)
+
+      expect(() => JSON.stringify(json)).to.not.throw()
+      expect(json.name).to.equal('test')
+      expect(json.srid).to.equal(4326)
+      expect(json.tolerance).to.equal(0.5)
+      expect(json.nodesSeq).to.equal(6)
+      expect(json.edgesSeq).to.equal(4)
+      expect(json.facesSeq).to.equal(3)
+      expect(json.nodes.map(n => n.id)).to.eql([1, 2, 3, 4])
+      expect(json.edges[1]).to.include({ id: 2, start: 2, end: 3, leftFace: 2, rightFace: 1 })
+      expect(json.faces.map(f => f.id)).to.eql([0, 1, 2])
+    })
+  })
+
+  describe('deserializeTopology', () => {
+    it('should restore the object graph', () => {
+      const restored = deserializeTopology(JSON.stringify(serializeTopology(topo)))
+
+      expect(restored.name).to.equal('test')
+      expect(restored.nodesSeq).to.equal(topo.nodesSeq)
+      expect(restored.edgesSeq).to.equal(topo.edgesSeq)
+      expect(restored.facesSeq).to.equal(topo.facesSeq)
+      expect(restored.edges.map(e => e2s(e))).to.eql(topo.edges.map(e => e2s(e)))
+      const toArray = n => [n.id, n.face && n.face.id, n.coordinate]
+      expect(restored.nodes.map(toArray)).to.eql(topo.nodes.map(toArray))
+      expect(restored.universe).to.equal(restored.faces[0])
+      expect(restored.edges[0].start).to.equal(restored.nodes[0])
+      expect(restored.edges[1].leftFace).to.equal(restored.faces[2])
+      expect(restored.edges[1].nextLeft).to.equal(restored.edges[2])
+    })
+
+    it('should rebuild the spatial indices', () => {
+      const restored = deserializeTopology(serializeTopology(topo))
+
+      expect(restored.nodesTree.all()).to.have.members(restored.nodes)
+      expect(restored.edgesTree.all()).to.have.members(restored.edges)
+      expect(restored.facesTree.all()).to.have.members(restored.faces.slice(1))
+      expect(restored.getNodeByPoint([2, 5])).to.equal(restored.nodes[3])
+      expect(restored.getEdgeByPoint([0, 2], 0)).to.eql([restored.edges[0]])
+    })
+
+    it('should behave identically to the original', () => {
+      const restored = deserializeTopology(JSON.stringify(serializeTopology(topo)))
+
+      const apply = t => {
+        const node = t.modEdgeSplit(t.edges[1], [1, 2])
+        t.addEdgeModFace(node, t.nodes[2], [[1, 2], [3, 3]])
+        t.addIsoNode([5, 5])
+        t.remEdgeNewFace(t.edges[0])
+        return serializeTopology(t)
+      }
+
+      expect(apply(restored)).to.eql(apply(topo))
+    })
+
+    it('should restore layers and features', () => {
+      const layer = topo.addLayer('parcels', 'polygon')
+      topo.createTopoGeom(layer, [topo.faces[1], topo.faces[2]])
+
+      const restored = deserializeTopology(JSON.stringify(serializeTopology(topo)))
+
+      expect(restored.layersSeq).to.equal(2)
+      expect(restored.layers).to.have.lengthOf(1)
+      const feature = restored.layers[0].features[0]
+      expect(feature).to.include({ id: 1, layer: 1, type: 'polygon' })
+      expect(feature.faces).to.eql([restored.faces[1], restored.faces[2]])
+      expect(restored.layers[0].featuresSeq).to.equal(2)
+
+      restored.addEdgeModFace(restored.nodes[1], restored.nodes[2], [[1, 1], [3, 3]])
+      expect(feature.faces).to.have.members([restored.faces[1], restored.faces[2], restored.faces[3]])
+    })
+
+    it('should keep the precision model', () => {
+      const restored = deserializeTopology(serializeTopology(createTopology('test', 0, 0, { scale: 100 })))
+      expect(restored.scale).to.equal(100)
+      expect(restored.addIsoNode([0.123, 0.456]).coordinate).to.eql([0.12, 0.46])
+    })
+  })
+})
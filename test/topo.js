@@ -0,0 +1,219 @@
+import { expect } from 'chai'
+
+import { createTopology } from '../src/topo'
+import { deserializeTopology, serializeTopology } from '../src/serialize'
+import { square } from './fixtures'
+
+let topo
+
+beforeEach(() => {
+  topo = createTopology('test', 0, 0)
+})
+
+function expectIndices (topo) {
+  const index = (items, keys) => {
+    const map = new Map()
+    items.forEach(item => keys(item).filter(k => k).forEach(k => map.set(k, (map.get(k) || new Set()).add(item))))
+    return map
+  }
+  const entries = map => Array.from(map).map(([k, v]) => [k.id, Array.from(v).map(i => i.id).sort()]).sort((a, b) => a[0] - b[0])
+  expect(entries(topo.nodeEdges)).to.eql(entries(index(topo.edges, e => [e.start, e.end])))
+  expect(entries(topo.faceEdges)).to.eql(entries(index(topo.edges, e => [e.leftFace, e.rightFace])))
+  expect(entries(topo.faceNodes)).to.eql(entries(index(topo.nodes, n => [n.face])))
+}
+
+describe('topo', () => {
+  describe('on/once/un', () => {
+    it('should not remove other callbacks when unregistering an unknown callback', () => {
+      const calls = []
+      topo.on('addnode', () => calls.push(1))
+      topo.un('addnode', () => calls.push(2))
+      topo.addIsoNode([0, 0])
+      expect(calls).to.eql([1])
+    })
+
+    it('should call a once callback only once', () => {
+      const calls = []
+      topo.once('addnode', n => calls.push(n.id))
+      topo.addIsoNode([0, 0])
+      topo.addIsoNode([1, 1])
+      expect(calls).to.eql([1])
+    })
+
+    it('should unregister a once callback', () => {
+      const calls = []
+      const callback = n => calls.push(n.id)
+      topo.once('addnode', callback)
+      topo.un('addnode', callback)
+      topo.addIsoNode([0, 0])
+      expect(calls).to.eql([])
+    })
+
+    it('should deliver every event to wildcard callbacks', () => {
+      const names = []
+      topo.on('*', (e, name) => names.push(name))
+      topo.addIsoNode([0, 0])
+      expect(names).to.eql(['beforeaddnode', 'addnode'])
+    })
+
+    it('should refuse unknown events', () => {
+      expect(() => topo.on('addthing', () => {})).to.throw('unknown event addthing')
+    })
+  })
+
+  describe('before events', () => {
+    it('should veto an operation', () => {
+      topo.on('beforeaddnode', e => {
+        if (e.coordinate[0] < 0) e.preventDefault()
+      })
+      topo.addIsoNode([0, 0])
+      expect(() => topo.addIsoNode([-1, 0])).to.throw('beforeaddnode prevented')
+      expect(topo.nodes).to.have.lengthOf(1)
+      expect(topo.nodesSeq).to.equal(2)
+    })
+
+    it('should veto the removal of an edge', () => {
+      const { edge1 } = square(topo, topo.addEdgeModFace)
+      topo.on('beforeremoveedge', e => e.edge === edge1 && e.preventDefault())
+      expect(() => topo.remEdgeModFace(edge1)).to.throw('beforeremoveedge prevented')
+      expect(topo.edges).to.include(edge1)
+      expect(topo.validateTopology()).to.eql([])
+    })
+
+    it('should not be fired for a split refused by validation', () => {
+      topo = createTopology('test', 0, 0, { scale: 1 })
+      const { edge1 } = square(topo, topo.addEdgeModFace)
+      const names = []
+      topo.on('beforesplitedge', () => names.push('beforesplitedge'))
+      expect(() => topo.modEdgeSplit(edge1, [0, 0.2])).to.throw('coincident node')
+      expect(() => topo.newEdgesSplit(edge1, [0, 0.2], true)).to.throw('coincident node')
+      expect(names).to.eql([])
+    })
+
+    it('should be delivered immediately in a transaction', () => {
+      const names = []
+      topo.on('beforeaddnode', () => names.push('beforeaddnode'))
+      topo.transaction(() => {
+        topo.addIsoNode([0, 0])
+        expect(names).to.eql(['beforeaddnode'])
+      })
+    })
+  })
+
+  describe('modface/modnode', () => {
+    it('should fire modface when a face is split or merged', () => {
+      const { node1, node2 } = square(topo, topo.addEdgeModFace)
+      const face = topo.faces[1]
+      const faces = []
+      topo.on('modface', f => faces.push(f))
+      const edge = topo.addEdgeModFace(node1, node2, [[0, 0], [2, 2]])
+      expect(faces).to.eql([face])
+      topo.remEdgeModFace(edge)
+      expect(faces).to.eql([face, face])
+    })
+
+    it('should fire modface when an edge of a face is split', () => {
+      const { edge1 } = square(topo, topo.addEdgeModFace)
+      const faces = []
+      topo.on('modface', f => faces.push(f))
+      topo.modEdgeSplit(edge1, [0, 1])
+      expect(faces).to.eql([topo.faces[1]])
+    })
+
+    it('should fire modnode when the containing face of a node changes', () => {
+      const node1 = topo.addIsoNode([0, 0])
+      const node2 = topo.addIsoNode([1, 1])
+      const nodes = []
+      topo.on('modnode', n => nodes.push(n))
+      topo.addEdgeModFace(node1, node1, [[0, 0], [0, 2], [2, 2], [2, 0], [0, 0]])
+      expect(nodes).to.have.members([node1, node2])
+      expect(node2.face).to.equal(topo.faces[1])
+    })
+  })
+
+  describe('change', () => {
+    it('should summarise a call', () => {
+      const { edge1 } = square(topo, topo.addEdgeModFace)
+      const changes = []
+      topo.on('change', e => changes.push(e))
+      const node = topo.modEdgeSplit(edge1, [0, 1])
+      expect(changes).to.have.lengthOf(1)
+      expect(changes[0].added).to.eql({ nodes: [node], edges: [topo.edges[2]], faces: [] })
+      expect(changes[0].modified.edges).to.eql([edge1])
+      expect(changes[0].modified.faces).to.eql([topo.faces[1]])
+      expect(changes[0].removed).to.eql({ nodes: [], edges: [], faces: [] })
+    })
+
+    it('should summarise a high level call', () => {
+      const changes = []
+      topo.on('change', e => changes.push(e))
+      topo.addPolygon([[[0, 0], [0, 2], [2, 2], [2, 0], [0, 0]]])
+      expect(changes).to.have.lengthOf(1)
+      expect(changes[0].added.nodes).to.eql(topo.nodes)
+      expect(changes[0].added.edges).to.eql(topo.edges)
+      expect(changes[0].added.faces).to.eql([topo.faces[1]])
+    })
+
+    it('should summarise an undo', () => {
+      topo = createTopology('test', 0, 0, { history: true })
+      const changes = []
+      topo.on('change', e => changes.push(e))
+      const { edge1, edge2 } = topo.history.group(() => square(topo, topo.addEdgeModFace))
+      expect(changes).to.have.lengthOf(4)
+      topo.history.undo()
+      expect(changes).to.have.lengthOf(5)
+      expect(changes[4].removed.edges).to.have.members([edge1, edge2])
+      expect(changes[4].added).to.eql({ nodes: [], edges: [], faces: [] })
+    })
+  })
+
+  describe('incidence indices', () => {
+    it('should be kept up to date by the editing operations', () => {
+      const { edge1, edge2 } = square(topo, topo.addEdgeModFace)
+      expectIndices(topo)
+      const node3 = topo.addIsoNode([0.5, 1.5])
+      expectIndices(topo)
+      const node4 = topo.modEdgeSplit(edge1, [0, 1])
+      topo.newEdgesSplit(edge2, [2, 0])
+      expectIndices(topo)
+      const edge = topo.addEdgeNewFaces(node4, topo.nodes[1], [[0, 1], [2, 2]])
+      expect(topo.faces).to.include(node3.face)
+      expectIndices(topo)
+      topo.moveIsoNode(node3, [1, 0.5])
+      expectIndices(topo)
+      topo.remEdgeNewFace(edge)
+      expectIndices(topo)
+      topo.modEdgeHeal(edge1, topo.edges.find(e => e.start === node4))
+      expectIndices(topo)
+      topo.removeIsoNode(node3)
+      topo.remEdgeModFace(topo.edges[0])
+      expectIndices(topo)
+    })
+
+    it('should be restored by undo and redo', () => {
+      topo = createTopology('test', 0, 0, { history: true })
+      const { edge1 } = square(topo, topo.addEdgeModFace)
+      topo.addIsoNode([1, 1])
+      topo.newEdgesSplit(edge1, [0, 1])
+      topo.remEdgeModFace(topo.edges[0])
+      while (topo.history.undo()) expectIndices(topo)
+      while (topo.history.redo()) expectIndices(topo)
+    })
+
+    it('should be restored by a rolled back transaction', () => {
+      const { edge1 } = square(topo, topo.addEdgeModFace)
+      expect(() => topo.transaction(() => {
+        topo.modEdgeSplit(edge1, [0, 1])
+        topo.remEdgeModFace(edge1)
+        throw new Error('rollback')
+      })).to.throw('rollback')
+      expectIndices(topo)
+    })
+
+    it('should be rebuilt when deserializing', () => {
+      square(topo, topo.addEdgeModFace)
+      topo.addIsoNode([1, 1])
+      expectIndices(deserializeTopology(serializeTopology(topo)))
+    })
+  })
+})
@@ -0,0 +1,188 @@
+import { expect } from 'chai'
+
+import { createTopology } from '../src/topo'
+import { signedArea } from '../src/utils'
+
+let topo
+
+beforeEach(() => {
+  topo = createTopology('test', 0, 0)
+})
+
+describe('topogeo', () => {
+  describe('addPoint', () => {
+    it('should add an isolated node', () => {
+      const node = topo.addPoint([0, 0])
+      expect(node.coordinate).to.eql([0, 0])
+      expect(node.face).to.equal(topo.universe)
+    })
+    it('should return an existing node at the same location', () => {
+      const node = topo.addIsoNode([0, 0])
+      expect(topo.addPoint([0, 0])).to.equal(node)
+      expect(topo.nodes).to.have.lengthOf(1)
+    })
+    it('should return the closest node within tolerance', () => {
+      topo.addIsoNode([0, 0])
+      const node = topo.addIsoNode([0.2, 0])
+      expect(topo.addPoint([0.15, 0], 0.2)).to.equal(node)
+      expect(topo.nodes).to.have.lengthOf(2)
+    })
+    it('should return the node with the lowest id among the closest nodes', () => {
+      const node = topo.addIsoNode([2, 0])
+      topo.addIsoNode([0, 0])
+      expect(topo.addPoint([1, 0], 1.5)).to.equal(node)
+      expect(topo.addLineString([[1, 0], [1, 3]], 1.5)[0].start).to.equal(node)
+    })
+    it('should split an edge within tolerance', () => {
+      const node1 = topo.addIsoNode([0, 0])
+      const node2 = topo.addIsoNode([2, 0])
+      const edge = topo.addIsoEdge(node1, node2, [[0, 0], [2, 0]])
+      const node = topo.addPoint([1, 0.05], 0.1)
+      expect(node.coordinate).to.eql([1, 0])
+      expect(topo.edges).to.have.lengthOf(2)
+      expect(edge.end).to.equal(node)
+    })
+    it('should use the topology tolerance by default', () => {
+      topo = createTopology('test', 0, 0.1)
+      const node = topo.addIsoNode([0, 0])
+      expect(topo.addPoint([0.05, 0.05])).to.equal(node)
+    })
+    it('should add an isolated node in the containing face', () => {
+      const node1 = topo.addIsoNode([0, 0])
+      topo.addEdgeNewFaces(node1, node1, [[0, 0], [0, 4], [4, 4], [4, 0], [0, 0]])
+      const node = topo.addPoint([2, 2], 0.1)
+      expect(node.face.id).to.equal(1)
+    })
+  })
+  describe('addLineString', () => {
+    it('should node crossing lines on the grid of the precision model', () => {
+      topo = createTopology('test', 0, 0, { scale: 1000 })
+      topo.addLineString([[0, 1], [1, 0]])
+      topo.addLineString([[0, 0], [3, 7]])
+      const onGrid = c => c.every(v => Math.round(v * 1000) / 1000 === v)
+      expect(topo.getNodeByPoint([0.3, 0.7])).to.exist
+      expect(topo.nodes.every(n => onGrid(n.coordinate))).to.be.true
+      expect(topo.edges.every(e => e.coordinates.every(onGrid))).to.be.true
+      expect(topo.edges).to.have.lengthOf(4)
+      expect(topo.validateTopology()).to.eql([])
+    })
+    it('should add a line to an empty topology', () => {
+      const edges = topo.addLineString([[0, 0], [1, 0], [1, 1]])
+      expect(edges).to.have.lengthOf(1)
+      expect(edges[0].coordinates).to.eql([[0, 0], [1, 0], [1, 1]])
+      expect(topo.nodes).to.have.lengthOf(2)
+    })
+    it('should reuse an existing edge', () => {
+      const edges1 = topo.addLineString([[0, 0], [1, 0]])
+      const edges2 = topo.addLineString([[1, 0], [0, 0]])
+      expect(edges2).to.eql(edges1)
+      expect(topo.edges).to.have.lengthOf(1)
+    })
+    it('should split crossed edges', () => {
+      topo.addLineString([[0, -1], [0, 1]])
+      const edges = topo.addLineString([[-1, 0], [1, 0]])
+      expect(edges).to.have.lengthOf(2)
+      expect(topo.edges).to.have.lengthOf(4)
+      expect(topo.nodes).to.have.lengthOf(5)
+      expect(topo.getNodeByPoint([0, 0])).to.exist
+    })
+    it('should split an edge touched by the line end', () => {
+      topo.addLineString([[0, 0], [2, 0]])
+      const edges = topo.addLineString([[1, 0], [1, 1]])
+      expect(edges).to.have.lengthOf(1)
+      expect(topo.edges).to.have.lengthOf(3)
+      expect(edges[0].start.coordinate).to.eql([1, 0])
+    })
+    it('should node a self intersecting line', () => {
+      const edges = topo.addLineString([[0, 0], [2, 2], [2, 0], [0, 2]])
+      expect(edges).to.have.lengthOf(3)
+      expect(topo.nodes).to.have.lengthOf(3)
+      expect(topo.faces).to.have.lengthOf(2)
+    })
+    it('should create faces when closing rings', () => {
+      topo.addLineString([[0, 0], [0, 1], [1, 1]])
+      topo.addLineString([[1, 1], [1, 0], [0, 0]])
+      expect(topo.faces).to.have.lengthOf(2)
+      topo.addLineString([[0, 0], [1, 1]])
+      expect(topo.faces).to.have.lengthOf(3)
+      topo.addLineString([[-1, 0.5], [2, 0.5]])
+      expect(topo.faces).to.have.lengthOf(5)
+      expect(topo.edges).to.have.lengthOf(10)
+    })
+    it('should add a closed line as a closed edge', () => {
+      const edges = topo.addLineString([[0, 0], [0, 1], [1, 1], [0, 0]])
+      expect(edges).to.have.lengthOf(1)
+      expect(edges[0].start).to.equal(edges[0].end)
+      expect(topo.faces).to.have.lengthOf(2)
+    })
+    it('should reuse an existing closed edge', () => {
+      const edges1 = topo.addLineString([[0, 0], [0, 1], [1, 1], [0, 0]])
+      const edges2 = topo.addLineString([[0, 0], [0, 1], [1, 1], [0, 0]])
+      expect(edges2).to.eql(edges1)
+      expect(topo.edges).to.have.lengthOf(1)
+      expect(topo.nodes).to.have.lengthOf(1)
+    })
+    it('should not node a line at the vertices it shares with an edge', () => {
+      const edges1 = topo.addLineString([[0, 0], [2, 0], [4, 1]])
+      const edges2 = topo.addLineString([[1, 0], [2, 0], [4, 1], [5, 5]])
+      expect(topo.nodes.map(n => n.coordinate)).to.have.deep.members([[0, 0], [4, 1], [1, 0], [5, 5]])
+      expect(edges2).to.have.lengthOf(2)
+      expect(edges2).to.include(edges1[0].nextLeft)
+    })
+    it('should snap to nodes within tolerance', () => {
+      const node = topo.addIsoNode([0, 0])
+      const edges = topo.addLineString([[0.05, 0], [1, 0]], 0.1)
+      expect(edges[0].start).to.equal(node)
+      expect(edges[0].coordinates).to.eql([[0, 0], [1, 0]])
+    })
+  })
+  describe('addPolygon', () => {
+    it('should add a polygon to an empty topology', () => {
+      const faces = topo.addPolygon([[[0, 0], [0, 1], [1, 1], [1, 0], [0, 0]]])
+      expect(faces).to.have.lengthOf(1)
+      expect(faces[0]).to.not.equal(topo.universe)
+      expect(topo.edges).to.have.lengthOf(1)
+    })
+    it('should return the existing face for an equal polygon', () => {
+      const faces1 = topo.addPolygon([[[0, 0], [0, 1], [1, 1], [1, 0], [0, 0]]])
+      const faces2 = topo.addPolygon([[[0, 0], [1, 0], [1, 1], [0, 1], [0, 0]]])
+      expect(faces2).to.eql(faces1)
+      expect(topo.faces).to.have.lengthOf(2)
+      expect(topo.edges).to.have.lengthOf(1)
+    })
+    it('should return all faces covered by the polygon', () => {
+      topo.addLineString([[0.5, -1], [0.5, 2]])
+      const faces = topo.addPolygon([[[0, 0], [0, 1], [1, 1], [1, 0], [0, 0]]])
+      expect(faces).to.have.lengthOf(2)
+      expect(topo.faces).to.have.lengthOf(3)
+    })
+    it('should only return faces covered by the polygon', () => {
+      topo.addPolygon([[[0, 0], [0, 1], [1, 1], [1, 0], [0, 0]]])
+      const faces = topo.addPolygon([[[1, 0], [1, 1], [2, 1], [2, 0], [1, 0]]])
+      expect(faces).to.have.lengthOf(1)
+      expect(topo.faces).to.have.lengthOf(3)
+    })
+    it('should add a polygon with a hole', () => {
+      const faces = topo.addPolygon([
+        [[0, 0], [0, 4], [4, 4], [4, 0], [0, 0]],
+        [[1, 1], [1, 2], [2, 2], [2, 1], [1, 1]]
+      ])
+      expect(faces).to.have.lengthOf(1)
+      expect(topo.faces).to.have.lengthOf(3)
+      const geometry = topo.getFaceGeometry(faces[0])
+      expect(geometry).to.have.lengthOf(2)
+      expect(signedArea(geometry[1])).to.equal(1)
+    })
+    it('should not return the faces in the holes of a polygon', () => {
+      topo.addLineString([[2, -1], [2, 5]])
+      const faces = topo.addPolygon([
+        [[0, 0], [0, 4], [4, 4], [4, 0], [0, 0]],
+        [[1, 1], [1, 3], [3, 3], [3, 1], [1, 1]]
+      ])
+      expect(topo.faces).to.have.lengthOf(5)
+      expect(faces).to.have.lengthOf(2)
+      const area = face => topo.getFaceGeometry(face).reduce((area, ring) => area - signedArea(ring), 0)
+      expect(faces.map(area)).to.eql([6, 6])
+    })
+  })
+})
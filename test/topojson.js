@@ -0,0 +1,160 @@
+import { expect } from 'chai'
+
+import { createTopology } from '../src/topo'
+import { toTopoJSON, fromTopoJSON } from '../src/topojson'
+import { e2s } from '../src/edge'
+
+let topo
+
+beforeEach(() => {
+  topo = createTopology('test', 0, 0)
+})
+
+describe('topojson', () => {
+  describe('toTopoJSON', () => {
+    it('should convert an empty topology', () => {
+      const topology = toTopoJSON(topo)
+      expect(topology.type).to.equal('Topology')
+      expect(topology.arcs).to.eql([])
+      expect(topology.objects.faces.geometries).to.eql([])
+      expect(topology.objects.nodes.geometries).to.eql([])
+    })
+
+    it('should convert edges to arcs and faces to polygons', () => {
+      const node1 = topo.addIsoNode([0, 0])
+      const node2 = topo.addIsoNode([1, 1])
+      topo.addEdgeNewFaces(node1, node2, [[0, 0], [0, 1], [1, 1]])
+      topo.addEdgeNewFaces(node2, node1, [[1, 1], [1, 0], [0, 0]])
+
+      const topology = toTopoJSON(topo)
+
+      expect(topology.bbox).to.eql([0, 0, 1, 1])
+      expect(topology.arcs).to.eql([[[0, 0], [0, 1], [1, 1]], [[1, 1], [1, 0], [0, 0]]])
+      expect(topology.objects.faces.geometries).to.eql([{ type: 'Polygon', id: 1, arcs: [[-1, -2]] }])
+    })
+
+    it('should convert faces with holes', () => {
+      const node1 = topo.addIsoNode([0, 0])
+      topo.addEdgeModFace(node1, node1, [[0, 0], [0, 4], [4, 4], [4, 0], [0, 0]])
+      const node2 = topo.addIsoNode([1, 1])
+      topo.addEdgeModFace(node2, node2, [[1, 1], [1, 3], [3, 3], [3, 1], [1, 1]])
+
+      const topology = toTopoJSON(topo)
+
+      expect(topology.objects.faces.geometries).to.eql([
+        { type: 'Polygon', id: 1, arcs: [[-2]] },
+        { type: 'Polygon', id: 2, arcs: [[-1], [1]] }
+      ])
+    })
+
+    it('should skip edges with the same face on both sides', () => {
+      const node1 = topo.addIsoNode([0, 0])
+      topo.addEdgeModFace(node1, node1, [[0, 0], [0, 4], [4, 4], [4, 0], [0, 0]])
+      const node2 = topo.addIsoNode([2, 2])
+      topo.addEdgeModFace(node1, node2, [[0, 0], [2, 2]])
+
+      const topology = toTopoJSON(topo)
+
+      expect(topology.arcs).to.have.lengthOf(2)
+      expect(topology.objects.faces.geometries).to.eql([{ type: 'Polygon', id: 1, arcs: [[-1]] }])
+    })
+
+    it('should convert isolated nodes to points', () => {
+      topo.addIsoNode([0, 0])
+      const node2 = topo.addIsoNode([1, 1])
+      const node3 = topo.addIsoNode([2, 0])
+      topo.addIsoEdge(node2, node3, [[1, 1], [2, 0]])
+
+      const topology = toTopoJSON(topo)
+
+      expect(topology.objects.nodes.geometries).to.eql([{ type: 'Point', id: 1, coordinates: [0, 0] }])
+    })
+
+    it('should quantize and delta encode arcs', () => {
+      const node1 = topo.addIsoNode([0, 0])
+      const node2 = topo.addIsoNode([1, 1])
+      topo.addEdgeNewFaces(node1, node2, [[0, 0], [0, 0.5], [0, 0.501], [1, 1]])
+      topo.addIsoNode([0.5, 0.5])
+
+      const topology = toTopoJSON(topo, { quantization: 101 })
+
+      expect(topology.transform).to.eql({ scale: [0.01, 0.01], translate: [0, 0] })
+      expect(topology.arcs).to.eql([[[0, 0], [0, 50], [100, 50]]])
+      expect(topology.objects.nodes.geometries[0].coordinates).to.eql([50, 50])
+    })
+  })
+  describe('fromTopoJSON', () => {
+    it('should create edges, nodes and faces from arcs', () => {
+      const topology = {
+        type: 'Topology',
+        objects: {},
+        arcs: [[[0, 0], [0, 1], [1, 1]], [[1, 1], [1, 0], [0, 0]]]
+      }
+
+      const topo = fromTopoJSON(topology, 'test', 0, 0)
+
+      expect(topo.nodes.map(n => n.coordinate)).to.eql([[0, 0], [1, 1]])
+      expect(topo.edges.map(e => e2s(e))).to.eql([
+        '1|1|2|2|-2|0|1',
+        '2|2|1|1|-1|0|1'
+      ])
+      expect(topo.faces).to.have.lengthOf(2)
+    })
+
+    it('should round trip with toTopoJSON', () => {
+      const node1 = topo.addIsoNode([0, 0])
+      topo.addEdgeModFace(node1, node1, [[0, 0], [0, 4], [4, 4], [4, 0], [0, 0]])
+      const node2 = topo.addIsoNode([1, 1])
+      topo.addEdgeModFace(node2, node2, [[1, 1], [1, 3], [3, 3], [3, 1], [1, 1]])
+      topo.addIsoNode([5, 5])
+
+      const topology = toTopoJSON(topo)
+      const imported = fromTopoJSON(topology, 'test', 0, 0)
+
+      expect(imported.edges.map(e => e2s(e))).to.eql(topo.edges.map(e => e2s(e)))
+      expect(imported.nodes.map(n => n.coordinate)).to.eql(topo.nodes.map(n => n.coordinate))
+      expect(toTopoJSON(imported)).to.eql(topology)
+    })
+
+    it('should decode quantized arcs', () => {
+      const topology = {
+        type: 'Topology',
+        transform: { scale: [0.5, 0.5], translate: [10, 10] },
+        objects: { nodes: { type: 'GeometryCollection', geometries: [{ type: 'Point', coordinates: [4, 4] }] } },
+        arcs: [[[0, 0], [2, 0], [0, 2]]]
+      }
+
+      const topo = fromTopoJSON(topology, 'test', 0, 0)
+
+      expect(topo.edges[0].coordinates).to.eql([[10, 10], [11, 10], [11, 11]])
+      expect(topo.nodes.map(n => n.coordinate)).to.eql([[10, 10], [11, 11], [12, 12]])
+    })
+
+    it('should throw on crossing arcs', () => {
+      const topology = {
+        type: 'Topology',
+        objects: {},
+        arcs: [[[0, 0], [1, 1]], [[0, 1], [1, 0]]]
+      }
+      expect(() => fromTopoJSON(topology, 'test', 0, 0)).to.throw('arc 0 crosses arc 1')
+    })
+
+    it('should throw on arcs ending in the interior of another arc', () => {
+      const topology = {
+        type: 'Topology',
+        objects: {},
+        arcs: [[[0, 0], [2, 0]], [[1, 0], [1, 1]]]
+      }
+      expect(() => fromTopoJSON(topology, 'test', 0, 0)).to.throw('arc 1 ends in the interior of arc 0')
+    })
+
+    it('should throw on non simple arcs', () => {
+      const topology = {
+        type: 'Topology',
+        objects: {},
+        arcs: [[[0, 0], [2, 2], [2, 0], [0, 2]]]
+      }
+      expect(() => fromTopoJSON(topology, 'test', 0, 0)).to.throw('arc 0 is not simple')
+    })
+  })
+})
@@ -0,0 +1,92 @@
+import { expect } from 'chai'
+
+import { createTopology } from '../src/topo'
+import { serializeTopology } from '../src/serialize'
+import { square } from './fixtures'
+
+let topo
+let events
+
+beforeEach(() => {
+  topo = createTopology('test', 0, 0)
+  events = []
+  Object.keys(topo.observers).filter(name => /^(add|mod|remove)/.test(name)).forEach(name => topo.on(name, o => events.push(`${name} ${o.id}`)))
+})
+
+describe('transaction', () => {
+  it('should defer events until commit', () => {
+    const result = topo.transaction(() => {
+      square(topo)
+      expect(events).to.eql([])
+      return 'done'
+    })
+    expect(result).to.equal('done')
+    expect(events).to.include.members(['addnode 1', 'addnode 2', 'addedge 1', 'addedge 2', 'addface 1'])
+  })
+
+  it('should roll back all changes when an operation throws', () => {
+    const { node1, edge1 } = square(topo)
+    const state = serializeTopology(topo)
+    const trees = [topo.nodesTree.all(), topo.edgesTree.all(), topo.facesTree.all()]
+    events.length = 0
+
+    expect(() => topo.transaction(() => {
+      const node3 = topo.modEdgeSplit(edge1, [0, 1])
+      topo.addEdgeNewFaces(node3, topo.nodes[1], [[0, 1], [2, 2]])
+      topo.addIsoNode([5, 5])
+      topo.addIsoNode([5, 5])
+    })).to.throw('coincident node')
+
+    expect(serializeTopology(topo)).to.eql(state)
+    expect(topo.nodes[0]).to.equal(node1)
+    expect(topo.edges[0]).to.equal(edge1)
+    expect(topo.nodesTree.all()).to.have.members(trees[0])
+    expect(topo.edgesTree.all()).to.have.members(trees[1])
+    expect(topo.facesTree.all()).to.have.members(trees[2])
+    expect(events).to.eql([])
+  })
+
+  it('should only roll back a nested transaction that throws', () => {
+    topo.transaction(() => {
+      topo.addIsoNode([0, 0])
+      try {
+        topo.transaction(() => {
+          topo.addIsoNode([1, 1])
+          throw new Error('failed')
+        })
+      } catch (e) {
+      }
+      topo.addIsoNode([2, 2])
+    })
+    expect(topo.nodes.map(n => n.coordinate)).to.eql([[0, 0], [2, 2]])
+    expect(topo.nodes.map(n => n.id)).to.eql([1, 2])
+    expect(events).to.eql(['addnode 1', 'addnode 2'])
+  })
+
+  it('should keep features up to date during the transaction', () => {
+    const { edge1 } = square(topo)
+    const layer = topo.addLayer('roads', 'line')
+    const feature = topo.createTopoGeom(layer, [edge1])
+    expect(() => topo.transaction(() => {
+      const node3 = topo.modEdgeSplit(edge1, [0, 1])
+      expect(feature.edges).to.have.lengthOf(2)
+      topo.modEdgeHeal(edge1, topo.edges[2])
+      expect(feature.edges).to.eql([edge1])
+      expect(topo.nodes).to.not.include(node3)
+      throw new Error('failed')
+    })).to.throw('failed')
+    expect(feature.edges).to.eql([edge1])
+  })
+
+  it('should record a committed transaction as one history step', () => {
+    topo = createTopology('test', 0, 0, { history: true })
+    topo.transaction(() => square(topo))
+    expect(() => topo.transaction(() => {
+      topo.addIsoNode([5, 5])
+      throw new Error('failed')
+    })).to.throw('failed')
+    topo.history.undo()
+    expect(topo.history.canUndo()).to.be.false
+    expect(topo.nodes).to.eql([])
+  })
+})
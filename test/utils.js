@@ -0,0 +1,98 @@
+import { expect } from 'chai'
+
+import { orientation, pointInPoly, pointOnLine, signedArea, compareDirections, intersectionPoints } from '../src/utils'
+
+// a point strictly to the left of the segment which plain floating point arithmetic finds collinear
+const a = [0.1, 0.3]
+const b = [24.7, 12.2]
+const p = [3, 1.7028455284552846]
+
+describe('utils', () => {
+  describe('orientation', () => {
+    it('should find the side of nearly collinear points', () => {
+      expect(orientation(a, b, p)).to.equal(1)
+      expect(orientation(b, a, p)).to.equal(-1)
+      expect(orientation([0.5, 0.5000000000000001], [12, 12], [24, 24])).to.equal(1)
+    })
+    it('should find exactly collinear points', () => {
+      expect(orientation([0, 0], [0.1, 0.1], [0.3, 0.3])).to.equal(0)
+      expect(orientation([12, 12], [24, 24], [0.5, 0.5])).to.equal(0)
+    })
+  })
+
+  describe('pointInPoly', () => {
+    it('should find a point just inside a boundary', () => {
+      expect(pointInPoly(p, [a, b, [0, 12.2], a])).to.be.true
+      expect(pointInPoly(p, [a, [24.7, 0], b, a])).to.be.false
+    })
+    it('should not contain points on the boundary', () => {
+      expect(pointInPoly([1, 0.5], [[0, 0], [2, 0], [2, 1], [0, 1], [0, 0]])).to.be.true
+      expect(pointInPoly([0, 0.5], [[0, 0], [2, 0], [2, 1], [0, 1], [0, 0]])).to.be.false
+    })
+  })
+
+  describe('pointOnLine', () => {
+    it('should find points on the segments of a line', () => {
+      expect(pointOnLine([1, 0], [[0, 0], [2, 0], [2, 2]])).to.be.true
+      expect(pointOnLine([2, 2], [[0, 0], [2, 0], [2, 2]])).to.be.true
+      expect(pointOnLine([1, 1], [[0, 0], [2, 0], [2, 2]])).to.be.false
+      expect(pointOnLine([3, 0], [[0, 0], [2, 0], [2, 2]])).to.be.false
+    })
+    it('should not find points just off a segment', () => {
+      expect(pointOnLine(p, [a, b])).to.be.false
+      expect(pointOnLine([0.2, 0.2], [[0, 0], [0.1, 0.1], [0.3, 0.3]])).to.be.true
+    })
+  })
+
+  describe('intersectionPoints', () => {
+    it('should find the points where lines cross', () => {
+      expect(intersectionPoints([[0, 0], [2, 2]], [[0, 2], [2, 0]])).to.eql([[1, 1]])
+      expect(intersectionPoints([[0, 0], [2, 2]], [[3, 0], [3, 2]])).to.eql([])
+    })
+    it('should only find the ends of an overlap through shared vertices', () => {
+      const points = intersectionPoints([[0, 0], [2, 0], [4, 1]], [[1, 0], [2, 0], [4, 1], [5, 5]])
+      expect(points).to.have.deep.members([[1, 0], [4, 1]])
+      expect(points).to.have.lengthOf(2)
+    })
+  })
+
+  describe('signedArea', () => {
+    it('should be negative for counter-clockwise rings', () => {
+      expect(signedArea([[0, 0], [2, 0], [2, 2], [0, 2], [0, 0]])).to.equal(-4)
+      expect(signedArea([[0, 0], [0, 2], [2, 2], [2, 0], [0, 0]])).to.equal(4)
+    })
+    it('should find the orientation of slivers', () => {
+      expect(signedArea([a, b, p, a])).to.be.below(0)
+      expect(signedArea([a, p, b, a])).to.be.above(0)
+      expect(signedArea([p, a, b, p])).to.be.below(0)
+    })
+    it('should be zero for collinear rings', () => {
+      expect(signedArea([[0, 0], [0.1, 0.1], [0.3, 0.3], [0, 0]])).to.equal(0)
+      expect(signedArea([[0.1, 0.2], [0.3, 0.6], [0.7, 1.4], [0.1, 0.2]])).to.equal(0)
+    })
+  })
+
+  describe('compareDirections', () => {
+    const o = [0, 0]
+    const north = [o, [0, 1]]
+    it('should order directions clockwise from the reference', () => {
+      const east = [o, [1, 0]]
+      const south = [o, [0, -1]]
+      const west = [o, [-1, 0]]
+      expect(compareDirections(north, north, east)).to.be.below(0)
+      expect(compareDirections(north, east, south)).to.be.below(0)
+      expect(compareDirections(north, south, west)).to.be.below(0)
+      expect(compareDirections(north, west, east)).to.be.above(0)
+      expect(compareDirections(east, west, north)).to.be.below(0)
+      expect(compareDirections(north, [[5, 5], [5, 7]], north)).to.equal(0)
+    })
+    it('should order directions with equal azimuths in floating point', () => {
+      const d1 = [o, [1e8, 1]]
+      const d2 = [o, [1e8 + 1, 1]]
+      expect(compareDirections(north, d1, d2)).to.be.below(0)
+      expect(compareDirections(north, d2, d1)).to.be.above(0)
+      expect(compareDirections(d2, d1, [o, [-1, 0]])).to.be.above(0)
+      expect(compareDirections(d1, d2, [o, [-1, 0]])).to.be.below(0)
+    })
+  })
+})
@@ -0,0 +1,131 @@
+import { expect } from 'chai'
+
+import { createTopology, setNodeFace } from '../src/topo'
+import { validateTopology } from '../src/validate'
+import { square } from './fixtures'
+
+let topo
+
+beforeEach(() => {
+  topo = createTopology('test', 0, 0)
+})
+
+describe('validate', () => {
+  describe('validateTopology', () => {
+    it('should return no errors for a valid topology', () => {
+      square(topo)
+      const node3 = topo.addIsoNode([1, 1])
+      const node4 = topo.addIsoNode([1.5, 1])
+      topo.addIsoEdge(node3, node4, [[1, 1], [1.5, 1]])
+      topo.addIsoNode([5, 5])
+      expect(validateTopology(topo)).to.eql([])
+      expect(topo.validateTopology()).to.eql([])
+    })
+
+    it('should return no errors after editing', () => {
+      const { edge1, edge2 } = square(topo)
+      const node3 = topo.modEdgeSplit(edge1, [0, 1])
+      const node4 = topo.modEdgeSplit(edge2, [2, 1])
+      topo.addEdgeNewFaces(node3, node4, [[0, 1], [2, 1]])
+      expect(validateTopology(topo)).to.eql([])
+      topo.remEdgeNewFace(topo.edges[4])
+      expect(validateTopology(topo)).to.eql([])
+      topo.modEdgeHeal(edge1, topo.edges[2])
+      expect(validateTopology(topo)).to.eql([])
+    })
+
+    it('should detect crossing and not simple edges', () => {
+      const { edge1, edge2 } = square(topo)
+      edge1.coordinates = [[0, 0], [0, 2], [3, 1], [2, 2]]
+      edge2.coordinates = [[2, 2], [2, 0], [0.5, 1], [1, 1.5], [1, 0], [0, 0]]
+      const errors = validateTopology(topo).map(e => e.error)
+      expect(errors).to.include('edge crosses edge')
+      expect(errors).to.include('edge not simple')
+    })
+
+    it('should detect edges crossing nodes', () => {
+      square(topo)
+      const node3 = topo.addIsoNode([1, 1])
+      node3.coordinate = [0, 1]
+      expect(validateTopology(topo)).to.deep.include({ error: 'edge crosses node', id1: 1, id2: 3 })
+    })
+
+    it('should detect node geometry mismatch', () => {
+      const { node2 } = square(topo)
+      node2.coordinate = [2, 3]
+      const errors = validateTopology(topo)
+      expect(errors).to.deep.include({ error: 'edge end node geometry mis-match', id1: 1, id2: 2 })
+      expect(errors).to.deep.include({ error: 'edge start node geometry mis-match', id1: 2, id2: 2 })
+      expect(errors).to.deep.include({ error: 'node has wrong mbr', id1: 2, id2: null })
+    })
+
+    it('should detect invalid next edges', () => {
+      const { edge1 } = square(topo)
+      edge1.nextLeftDir = !edge1.nextLeftDir
+      expect(validateTopology(topo)).to.deep.include({ error: 'invalid next_left_edge', id1: 1, id2: 2 })
+    })
+
+    it('should detect mixed face labeling', () => {
+      const { edge2 } = square(topo)
+      edge2.leftFace = edge2.rightFace
+      const errors = validateTopology(topo).map(e => e.error)
+      expect(errors).to.include('mixed face labeling in ring')
+    })
+
+    it('should detect face geometry and bounds mismatch', () => {
+      const { edge1 } = square(topo)
+      const face = edge1.rightFace
+      face.maxX = 3
+      expect(validateTopology(topo)).to.eql([{ error: 'face has wrong mbr', id1: face.id, id2: null }])
+      topo.facesTree.remove(face)
+      expect(validateTopology(topo)).to.eql([{ error: 'face not in index', id1: face.id, id2: null }])
+    })
+
+    it('should detect a stale face geometry', () => {
+      const { edge1 } = square(topo)
+      const face = edge1.rightFace
+      topo.getFaceGeometry(face)
+      edge1.coordinates = [[0, 0], [0, 3], [2, 2]]
+      expect(validateTopology(topo)).to.deep.include({ error: 'face geometry mis-match', id1: face.id, id2: null })
+    })
+
+    it('should check face geometries against rings walked from the edges', () => {
+      const { edge1 } = square(topo)
+      const face = edge1.rightFace
+      topo.faceEdges.get(face).delete(edge1)
+      expect(validateTopology(topo)).to.deep.include({ error: 'face geometry error', id1: face.id, id2: null })
+    })
+
+    it('should detect isolated nodes in the wrong face', () => {
+      square(topo)
+      const node3 = topo.addIsoNode([1, 1])
+      setNodeFace(topo, node3, topo.universe)
+      expect(validateTopology(topo)).to.eql([{ error: 'isolated node has wrong containing_face', id1: 3, id2: 0 }])
+    })
+
+    it('should detect incidence index mismatch', () => {
+      const { node1, edge1, edge2 } = square(topo)
+      const face = edge1.rightFace
+      const node3 = topo.addIsoNode([1, 1])
+      topo.nodeEdges.get(node1).delete(edge1)
+      topo.nodeEdges.set(node3, new Set([edge2]))
+      topo.faceNodes.get(face).delete(node3)
+      topo.faceNodes.set(topo.universe, new Set([node3]))
+      expect(validateTopology(topo)).to.have.deep.members([
+        { error: 'edge missing from node index', id1: edge1.id, id2: node1.id },
+        { error: 'stale edge in node index', id1: edge2.id, id2: node3.id },
+        { error: 'node missing from face index', id1: node3.id, id2: face.id },
+        { error: 'stale node in face index', id1: node3.id, id2: topo.universe.id }
+      ])
+    })
+
+    it('should detect stale index entries', () => {
+      const { edge1 } = square(topo)
+      edge1.coordinates = [[0, 0], [0, 3], [2, 2]]
+      const errors = validateTopology(topo).map(e => e.error)
+      expect(errors).to.include('edge has wrong mbr')
+      topo.edges.splice(0, 1)
+      expect(validateTopology(topo)).to.deep.include({ error: 'removed edge in index', id1: 1, id2: null })
+    })
+  })
+})